@@ -3,6 +3,7 @@ using Unity.Burst;
 using Unity.Collections;
 using Unity.Collections.LowLevel.Unsafe;
 using Unity.Entities;
+using Unity.Jobs.LowLevel.Unsafe;
 using Unity.NetCode.LowLevel.Unsafe;
 using Unity.Networking.Transport;
 
@@ -235,6 +236,46 @@ namespace Unity.NetCode
             public byte dynamicAssemblyList;
             public FixedString128Bytes worldName;
             public NetDebug netDebug;
+#if UNITY_EDITOR || NETCODE_DEBUG
+            [NativeDisableParallelForRestriction] public NativeArray<uint> netStatsBuffer;
+#pragma warning disable 649
+            [NativeSetThreadIndex] public int ThreadIndex;
+#pragma warning restore 649
+            public int netStatStride;
+            public int netStatSize;
+
+            void AddRpcStats(int rpcIndex, int statOffset, int size)
+            {
+                if ((rpcIndex + 1) * GhostStatsCollectionRpc.StatsPerRpc > netStatSize)
+                    return;
+                var netStats = netStatsBuffer.GetSubArray(netStatStride * ThreadIndex, netStatSize);
+                var statIndex = rpcIndex * GhostStatsCollectionRpc.StatsPerRpc + statOffset;
+                netStats[statIndex] = netStats[statIndex] + 1;
+                netStats[statIndex + 1] = netStats[statIndex + 1] + (uint)size;
+            }
+
+            unsafe void AddSentRpcStats(byte* data, int length, int msgHeaderLen)
+            {
+                int offset = 0;
+                while (offset + msgHeaderLen <= length)
+                {
+                    int rpcIndex;
+                    if (dynamicAssemblyList == 1)
+                    {
+                        var rpcHash = *(ulong*) (data + offset);
+                        if (rpcHash == 0 || !hashToIndex.TryGetValue(rpcHash, out rpcIndex))
+                            rpcIndex = -1;
+                    }
+                    else
+                        rpcIndex = *(ushort*) (data + offset);
+                    var size = *(ushort*) (data + offset + msgHeaderLen - 2) + msgHeaderLen;
+                    // The protocol version rpc is not part of the rpc collection
+                    if (rpcIndex >= 0 && rpcIndex != ushort.MaxValue)
+                        AddRpcStats(rpcIndex, 0, size);
+                    offset += size;
+                }
+            }
+#endif
 
             public unsafe void Execute(in ArchetypeChunk chunk, int unfilteredChunkIndex, bool useEnabledMask, in v128 chunkEnabledMask)
             {
@@ -368,6 +409,9 @@ namespace Unity.NetCode
                         }
                         else
                         {
+#if UNITY_EDITOR || NETCODE_DEBUG
+                            AddRpcStats(rpcIndex, 2, rpcSize + msgHeaderLen);
+#endif
                             execute[rpcIndex].Execute.Ptr.Invoke(ref parameters);
                         }
                     }
@@ -443,6 +487,9 @@ namespace Unity.NetCode
                             break;
                         }
                         var tmpDataLength = tmp.Length - headerLength;
+#if UNITY_EDITOR || NETCODE_DEBUG
+                        AddSentRpcStats((byte*) sendBuffer.GetUnsafePtr(), tmpDataLength, msgHeaderLen);
+#endif
                         if (tmpDataLength < sendBuffer.Length)
                         {
                             // Compact the buffer, removing the rpcs we did send
@@ -486,9 +533,37 @@ namespace Unity.NetCode
                 netDebug = SystemAPI.GetSingleton<NetDebug>(),
                 worldName = state.WorldUnmanaged.Name
             };
+#if UNITY_EDITOR || NETCODE_DEBUG
+            ref var netStats = ref SystemAPI.GetSingletonRW<GhostStatsCollectionRpc>().ValueRW;
+            UpdateNetStats(ref netStats);
+            execJob.netStatsBuffer = netStats.Data.AsArray();
+            execJob.netStatStride = netStats.Stride;
+            execJob.netStatSize = netStats.Size;
+#endif
             state.Dependency = execJob.ScheduleParallel(m_RpcBufferGroup, state.Dependency);
             state.Dependency = networkStreamDriver.DriverStore.ScheduleFlushSendAllDrivers(state.Dependency);
         }
+
+#if UNITY_EDITOR || NETCODE_DEBUG
+        void UpdateNetStats(ref GhostStatsCollectionRpc netStats)
+        {
+#if UNITY_2022_2_14F1_OR_NEWER
+            int maxThreadCount = JobsUtility.ThreadIndexCount;
+#else
+            int maxThreadCount = JobsUtility.MaxJobThreadCount;
+#endif
+            var size = m_RpcData.Length * GhostStatsCollectionRpc.StatsPerRpc;
+            if (netStats.Size == size && netStats.Workers == maxThreadCount)
+                return;
+            const int intsPerCacheLine = JobsUtility.CacheLineSize / 4;
+            netStats.Size = size;
+            // Round up to an even cache line size in order to reduce false sharing
+            netStats.Stride = (size + intsPerCacheLine-1) & (~(intsPerCacheLine-1));
+            netStats.Workers = maxThreadCount;
+            netStats.Data.Clear();
+            netStats.Data.Resize(netStats.Stride * maxThreadCount, NativeArrayOptions.ClearMemory);
+        }
+#endif
     }
 
     /// <summary>
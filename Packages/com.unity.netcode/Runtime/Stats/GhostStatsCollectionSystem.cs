@@ -7,6 +7,7 @@ using Unity.Mathematics;
 using Unity.Collections.LowLevel.Unsafe;
 using Unity.Jobs;
 using Unity.Jobs.LowLevel.Unsafe;
+using Unity.Networking.Transport;
 using Unity.Profiling;
 using UnityEngine;
 using UnityEngine.Assertions;
@@ -37,6 +38,18 @@ namespace Unity.NetCode
         public NativeArray<NetworkTick> Value;
     }
     /// <summary>
+    /// Per worker thread RPC stats written by the <see cref="RpcSystem"/>. Each worker has <see cref="Stride"/> entries,
+    /// the first <see cref="Size"/> of them are the sent count, sent bytes, received count and received bytes of every RPC type.
+    /// </summary>
+    internal struct GhostStatsCollectionRpc : IComponentData
+    {
+        public const int StatsPerRpc = 4;
+        public int Size;
+        public int Stride;
+        public int Workers;
+        public NativeList<uint> Data;
+    }
+    /// <summary>
     /// The GhostStatsCollectionSystem is responsible to hold all sent and received snapshot statitics on both client
     /// and server.
     /// The collected stats are then sent to the Network Debugger tools for visualization (when the debugger is connected attached) by
@@ -55,6 +68,14 @@ namespace Unity.NetCode
         private uint m_UpdateId;
         private bool m_HasMonitor;
 
+        /// <summary>
+        /// Version of the stats stream sent to the Network Debugger. Bump it whenever the layout written by
+        /// BuildPacket or the text packets change, netdbg-decoder.js must be updated to match.
+        /// </summary>
+        internal const byte ProtocolVersion = 3;
+        internal const int HeaderSize = 20;
+        internal const byte TimeSampleFloats = 9;
+
         /// <summary>
         /// Append to the collection the snapshost prefab stats  or the given tick. Used and populated by the <see cref="GhostSendSystem"/>
         /// </summary>
@@ -111,6 +132,26 @@ namespace Unity.NetCode
             m_DiscardedPackets += stats;
         }
 
+        /// <summary>
+        /// Append to the collection the RPC stats of all workers written by the <see cref="RpcSystem"/>, and clear them.
+        /// </summary>
+        /// <param name="rpcStats"></param>
+        /// <param name="collectionData"></param>
+        private void AddRpcStats(ref GhostStatsCollectionRpc rpcStats, in GhostStatsCollectionData collectionData)
+        {
+            var collect = m_RpcStats.Length == rpcStats.Size && (m_HasMonitor || collectionData.m_StatIndex >= 0) && collectionData.m_CollectionTick.IsValid;
+            for (int worker = 0; worker < rpcStats.Workers; ++worker)
+            {
+                int statOffset = worker * rpcStats.Stride;
+                for (int i = 0; i < rpcStats.Size; ++i)
+                {
+                    if (collect)
+                        m_RpcStats[i] += rpcStats.Data[statOffset + i];
+                    rpcStats.Data[statOffset + i] = 0;
+                }
+            }
+        }
+
         [BurstCompile]
         public void OnCreate(ref SystemState state)
         {
@@ -119,21 +160,24 @@ namespace Unity.NetCode
             m_PredictionErrors = new NativeList<float>(0, Allocator.Persistent);
             m_TimeSamples = new NativeList<TimeSample>(16, Allocator.Persistent);
             m_CommandTicks = new NativeList<uint>(16, Allocator.Persistent);
+            m_RpcStats = new NativeList<uint>(0, Allocator.Persistent);
 
             m_PacketQueue = new NativeList<Packet>(16, Allocator.Persistent);
             m_PacketPool = new NativeList<byte>(4096, Allocator.Persistent);
             m_PacketPool.Resize(m_PacketPool.Capacity, NativeArrayOptions.UninitializedMemory);
 
             m_LastNameAndErrorArray = new NativeText(4096, Allocator.Persistent);
+            m_LastRpcNameArray = new NativeText(1024, Allocator.Persistent);
 
             m_CommandStatsData = new NativeArray<uint>(3, Allocator.Persistent);
-            var typeList = new NativeArray<ComponentType>(6, Allocator.Temp);
+            var typeList = new NativeArray<ComponentType>(7, Allocator.Temp);
             typeList[0] = ComponentType.ReadWrite<GhostStats>();
             typeList[1] = ComponentType.ReadWrite<GhostStatsCollectionCommand>();
             typeList[2] = ComponentType.ReadWrite<GhostStatsCollectionSnapshot>();
             typeList[3] = ComponentType.ReadWrite<GhostStatsCollectionPredictionError>();
             typeList[4] = ComponentType.ReadWrite<GhostStatsCollectionMinMaxTick>();
             typeList[5] = ComponentType.ReadWrite<GhostStatsCollectionData>();
+            typeList[6] = ComponentType.ReadWrite<GhostStatsCollectionRpc>();
             var statEnt = state.EntityManager.CreateEntity(state.EntityManager.CreateArchetype(typeList));
             FixedString64Bytes singletonName = "GhostStatsCollectionSingleton";
             state.EntityManager.SetName(statEnt, singletonName);
@@ -146,6 +190,9 @@ namespace Unity.NetCode
             m_PredictionErrorStatsData = new NativeList<float>(128, Allocator.Persistent);
             SystemAPI.SetSingleton(new GhostStatsCollectionPredictionError{Data = m_PredictionErrorStatsData});
 
+            m_RpcStatsData = new NativeList<uint>(128, Allocator.Persistent);
+            SystemAPI.SetSingleton(new GhostStatsCollectionRpc{Data = m_RpcStatsData});
+
 #if UNITY_2022_2_14F1_OR_NEWER
             int maxThreadCount = JobsUtility.ThreadIndexCount;
 #else
@@ -161,10 +208,12 @@ namespace Unity.NetCode
                 m_LastNameAndErrorArray = m_LastNameAndErrorArray,
                 m_SnapshotStats = m_SnapshotStats,
                 m_PredictionErrors = m_PredictionErrors,
+                m_LastRpcNameArray = m_LastRpcNameArray,
+                m_RpcStats = m_RpcStats,
                 m_StatIndex = -1,
                 m_UsedPacketPoolSize = 0
             };
-            ghostcollectionData.UpdateMaxPacketSize(m_SnapshotStatsData.Length, m_PredictionErrors.Length);
+            ghostcollectionData.UpdateMaxPacketSize(m_SnapshotStatsData.Length, m_PredictionErrors.Length, m_RpcStats.Length);
             SystemAPI.SetSingleton(ghostcollectionData);
 
             m_Recorders = new NativeList<ProfilerRecorder>(Allocator.Persistent);
@@ -174,6 +223,9 @@ namespace Unity.NetCode
         public void OnDestroy(ref SystemState state)
         {
             m_LastNameAndErrorArray.Dispose();
+            m_LastRpcNameArray.Dispose();
+            m_RpcStatsData.Dispose();
+            m_RpcStats.Dispose();
             m_PacketQueue.Dispose();
             m_CommandTicks.Dispose();
             m_SnapshotTicks.Dispose();
@@ -244,6 +296,15 @@ namespace Unity.NetCode
                 AddPredictionErrorStats(m_PredictionErrorStatsData.AsArray(), collectionData);
                 m_PredictionErrorStatsData.Clear();
             }
+            ref var rpcStats = ref SystemAPI.GetSingletonRW<GhostStatsCollectionRpc>().ValueRW;
+            if (rpcStats.Size > 0)
+            {
+                var rpcCollection = SystemAPI.GetSingleton<RpcCollection>();
+                // The rpc indices are only stable once the RpcSystem has sorted them
+                if (rpcCollection.m_IsFinal == 1 && m_RpcStats.Length != rpcStats.Size)
+                    collectionData.SetRpcNames(rpcCollection.Rpcs);
+                AddRpcStats(ref rpcStats, collectionData);
+            }
 
             m_SnapshotTickMin = m_MinMaxTickStatsData[0];
             m_SnapshotTickMax = m_MinMaxTickStatsData[1];
@@ -333,6 +394,10 @@ namespace Unity.NetCode
             m_CommandTicks.Clear();
             m_CommandStats = 0;
             m_DiscardedPackets = 0;
+            for (int i = 0; i < m_RpcStats.Length; ++i)
+            {
+                m_RpcStats[i] = 0;
+            }
         }
 
         void BuildPacket(ref GhostStatsCollectionData statsData)
@@ -346,10 +411,23 @@ namespace Unity.NetCode
             binaryData[binarySize++] = (byte) m_TimeSamples.Length;
             binaryData[binarySize++] = (byte) m_SnapshotTicks.Length;
             binaryData[binarySize++] = (byte) m_CommandTicks.Length;
-            binaryData[binarySize++] = 0; // rpcs
+            // The rpc stats are only included for ticks with rpc traffic
+            bool hasRpcStats = false;
+            for (int i = 0; i < m_RpcStats.Length && !hasRpcStats; ++i)
+                hasRpcStats = m_RpcStats[i] != 0;
+            binaryData[binarySize++] = hasRpcStats ? (byte)1 : (byte)0;
             binaryData[binarySize++] = (byte)m_DiscardedPackets;
-            binaryData[binarySize++] = 0; // unused
-            binaryData[binarySize++] = 0; // unused
+            binaryData[binarySize++] = ProtocolVersion;
+            binaryData[binarySize++] = TimeSampleFloats;
+            // Explicit array lengths so the debugger can validate the packet against the last name packet
+            *(ushort*) (binaryData + binarySize) = (ushort) (m_SnapshotStats.Length / 3);
+            binarySize += 2;
+            *(ushort*) (binaryData + binarySize) = (ushort) m_PredictionErrors.Length;
+            binarySize += 2;
+            *(ushort*) (binaryData + binarySize) = (ushort) (m_RpcStats.Length / GhostStatsCollectionRpc.StatsPerRpc);
+            binarySize += 2;
+            *(ushort*) (binaryData + binarySize) = 0; // unused
+            binarySize += 2;
 
             for (int i = 0; i < m_TimeSamples.Length; ++i)
             {
@@ -363,7 +441,7 @@ namespace Unity.NetCode
                 timeSample[6] = m_TimeSamples[i].jitter;
                 timeSample[7] = m_TimeSamples[i].snapshotAgeMin;
                 timeSample[8] = m_TimeSamples[i].snapshotAgeMax;
-                binarySize += 36;
+                binarySize += TimeSampleFloats * 4;
             }
             // Write snapshots
             for (int i = 0; i < m_SnapshotTicks.Length; ++i)
@@ -390,6 +468,15 @@ namespace Unity.NetCode
             }
             *(uint*) (binaryData + binarySize) = m_CommandStats;
             binarySize += 4;
+            // Write rpcs
+            if (hasRpcStats)
+            {
+                for (int i = 0; i < m_RpcStats.Length; ++i)
+                {
+                    *(uint*) (binaryData + binarySize) = m_RpcStats[i];
+                    binarySize += 4;
+                }
+            }
 
             statsData.m_PacketQueue.Add(new Packet
             {
@@ -422,11 +509,14 @@ namespace Unity.NetCode
         private uint m_CommandStats;
         private uint m_DiscardedPackets;
         private NativeList<uint> m_CommandTicks;
+        private NativeList<uint> m_RpcStats;
 
         private NativeText m_LastNameAndErrorArray;
+        private NativeText m_LastRpcNameArray;
         private NativeArray<uint> m_CommandStatsData;
         private NativeList<uint> m_SnapshotStatsData;
         private NativeList<float> m_PredictionErrorStatsData;
+        private NativeList<uint> m_RpcStatsData;
         private NativeArray<NetworkTick> m_MinMaxTickStatsData;
 
         struct TimeSample
@@ -558,6 +648,8 @@ namespace Unity.NetCode
         public NativeText m_LastNameAndErrorArray;
         public NativeList<uint> m_SnapshotStats;
         public NativeList<float> m_PredictionErrors;
+        public NativeText m_LastRpcNameArray;
+        public NativeList<uint> m_RpcStats;
         public int m_StatIndex;
         public int m_UsedPacketPoolSize;
         public int m_MaxPacketSize;
@@ -574,10 +666,10 @@ namespace Unity.NetCode
             }
         }
 
-        public void UpdateMaxPacketSize(int snapshotStatsLength, int predictionErrorsLength)
+        public void UpdateMaxPacketSize(int snapshotStatsLength, int predictionErrorsLength, int rpcStatsLength)
         {
             // Calculate a new max packet size
-            var packetSize = 8 + 20 * 255 + 4 * snapshotStatsLength + 4 * predictionErrorsLength + 4 * 255;
+            var packetSize = GhostStatsCollectionSystem.HeaderSize + 20 * 255 + 4 * snapshotStatsLength + 4 * predictionErrorsLength + 4 * 255 + 4 * rpcStatsLength;
             if (packetSize == m_MaxPacketSize)
                 return;
             m_MaxPacketSize = packetSize;
@@ -643,20 +735,57 @@ namespace Unity.NetCode
             AppendNamePacket();
         }
 
+        /// <summary>
+        /// Setup the rpc names (used by the NetworkDebugger tool). Called once the <see cref="RpcSystem"/> has assigned the
+        /// final rpc indices.
+        /// </summary>
+        /// <param name="rpcs"></param>
+        internal void SetRpcNames(NativeList<RpcCollection.RpcData> rpcs)
+        {
+            m_LastRpcNameArray.Clear();
+            m_LastRpcNameArray.Append((FixedString32Bytes)",\"rpcs\":[");
+            for (int i = 0; i < rpcs.Length; ++i)
+            {
+                if (i > 0)
+                    m_LastRpcNameArray.Append(',');
+                m_LastRpcNameArray.Append('"');
+                var typeIndex = TypeManager.GetTypeIndexFromStableTypeHash(rpcs[i].TypeHash);
+                m_LastRpcNameArray.Append(new FixedString128Bytes(TypeManager.GetTypeInfo(typeIndex).DebugTypeName));
+                m_LastRpcNameArray.Append('"');
+            }
+            m_LastRpcNameArray.Append(']');
+
+            m_RpcStats.Clear();
+            m_RpcStats.Resize(rpcs.Length * GhostStatsCollectionRpc.StatsPerRpc, NativeArrayOptions.ClearMemory);
+
+            // The rpc names are sent together with the ghost names
+            if (m_StatIndex < 0 || m_LastNameAndErrorArray.Length == 0)
+                return;
+
+            AppendNamePacket();
+        }
+
         public unsafe void AppendNamePacket()
         {
             FixedString64Bytes header = "{\"index\":";
             header.Append(m_StatIndex);
+            // The debugger uses the MTU to estimate how many packets each snapshot needs.
+            header.Append((FixedString32Bytes)",\"mtu\":");
+            header.Append(NetworkParameterConstants.MTU);
             header.Append(',');
             FixedString32Bytes footer = "}";
 
-            var totalLen = header.Length + m_LastNameAndErrorArray.Length + footer.Length;
+            var totalLen = header.Length + m_LastNameAndErrorArray.Length + m_LastRpcNameArray.Length + footer.Length;
             EnsurePoolSize(totalLen);
 
             var binaryData = ((byte*)m_PacketPool.GetUnsafePtr()) + m_UsedPacketPoolSize;
             UnsafeUtility.MemCpy(binaryData, header.GetUnsafePtr(), header.Length);
-            UnsafeUtility.MemCpy(binaryData + header.Length, m_LastNameAndErrorArray.GetUnsafePtr(), m_LastNameAndErrorArray.Length);
-            UnsafeUtility.MemCpy(binaryData + header.Length + m_LastNameAndErrorArray.Length, footer.GetUnsafePtr(), footer.Length);
+            binaryData += header.Length;
+            UnsafeUtility.MemCpy(binaryData, m_LastNameAndErrorArray.GetUnsafePtr(), m_LastNameAndErrorArray.Length);
+            binaryData += m_LastNameAndErrorArray.Length;
+            UnsafeUtility.MemCpy(binaryData, m_LastRpcNameArray.GetUnsafePtr(), m_LastRpcNameArray.Length);
+            binaryData += m_LastRpcNameArray.Length;
+            UnsafeUtility.MemCpy(binaryData, footer.GetUnsafePtr(), footer.Length);
 
             m_PacketQueue.Add(new GhostStatsCollectionSystem.Packet
             {
@@ -666,7 +795,54 @@ namespace Unity.NetCode
             });
             m_UsedPacketPoolSize += totalLen;
             // Make sure the packet size is big enough for the new snapshot stats
-            UpdateMaxPacketSize(m_SnapshotStats.Length, m_PredictionErrors.Length);
+            UpdateMaxPacketSize(m_SnapshotStats.Length, m_PredictionErrors.Length, m_RpcStats.Length);
+        }
+
+        /// <summary>
+        /// Queue a marker packet for the Network Debugger, used by <see cref="NetDbgMarkers"/>. Markers are dropped
+        /// when the debugger is not connected.
+        /// </summary>
+        /// <param name="tick"></param>
+        /// <param name="label"></param>
+        /// <param name="category"></param>
+        public unsafe void AppendMarkerPacket(NetworkTick tick, in FixedString128Bytes label, in FixedString32Bytes category)
+        {
+            if (m_StatIndex < 0 || !tick.IsValid)
+                return;
+            var packet = new FixedString512Bytes();
+            packet.Append((FixedString64Bytes)"{\"type\":\"marker\",\"index\":");
+            packet.Append(m_StatIndex);
+            packet.Append((FixedString32Bytes)",\"tick\":");
+            packet.Append(tick.TickIndexForValidTick);
+            packet.Append((FixedString32Bytes)",\"label\":");
+            AppendJsonString(ref packet, label);
+            packet.Append((FixedString32Bytes)",\"category\":");
+            AppendJsonString(ref packet, new FixedString128Bytes(category));
+            packet.Append('}');
+
+            EnsurePoolSize(packet.Length);
+            var binaryData = ((byte*)m_PacketPool.GetUnsafePtr()) + m_UsedPacketPoolSize;
+            UnsafeUtility.MemCpy(binaryData, packet.GetUnsafePtr(), packet.Length);
+            m_PacketQueue.Add(new GhostStatsCollectionSystem.Packet
+            {
+                dataSize = packet.Length,
+                dataOffset = m_UsedPacketPoolSize,
+                isString = true
+            });
+            m_UsedPacketPoolSize += packet.Length;
+        }
+
+        static void AppendJsonString(ref FixedString512Bytes packet, in FixedString128Bytes text)
+        {
+            packet.Append('"');
+            foreach (var rune in text)
+            {
+                if (rune.value == '"' || rune.value == '\\')
+                    packet.Append('\\');
+                // Control characters are not valid in JSON strings
+                packet.Append(rune.value < 0x20 ? new Unicode.Rune(' ') : rune);
+            }
+            packet.Append('"');
         }
 
     }
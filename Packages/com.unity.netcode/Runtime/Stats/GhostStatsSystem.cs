@@ -63,6 +63,7 @@ namespace Unity.NetCode
                 return;
             if (m_Socket.AcceptNewConnection())
             {
+                SendHello();
                 m_StatsCollections = new List<GhostStatsToSend>();
                 foreach (var world in World.All)
                 {
@@ -74,7 +75,8 @@ namespace Unity.NetCode
                         ComponentType.ReadWrite<GhostStatsCollectionCommand>(),
                         ComponentType.ReadWrite<GhostStatsCollectionSnapshot>(),
                         ComponentType.ReadWrite<GhostStatsCollectionPredictionError>(),
-                        ComponentType.ReadWrite<GhostStatsCollectionMinMaxTick>());
+                        ComponentType.ReadWrite<GhostStatsCollectionMinMaxTick>(),
+                        ComponentType.ReadWrite<GhostStatsCollectionRpc>());
 
                     if (!collectionDataQry.HasSingleton<GhostStatsCollectionData>())
                     {
@@ -115,6 +117,21 @@ namespace Unity.NetCode
             }
         }
 
+        /// <summary>
+        /// The first packet of every connection, it tells the debugger which protocol version and optional
+        /// packet types to expect so it can refuse to decode a stream it does not understand.
+        /// </summary>
+        private unsafe void SendHello()
+        {
+            FixedString128Bytes hello = "{\"type\":\"hello\",\"version\":";
+            hello.Append((int)GhostStatsCollectionSystem.ProtocolVersion);
+            hello.Append((FixedString64Bytes)",\"capabilities\":[\"markers\",\"rpcs\"]}");
+            var data = new NativeArray<byte>(hello.Length, Allocator.Temp);
+            UnsafeUtility.MemCpy(data.GetUnsafePtr(), hello.GetUnsafePtr(), hello.Length);
+            m_Socket.SendText(data);
+            data.Dispose();
+        }
+
         private void SendPackets(ref GhostStatsCollectionData data)
         {
             foreach (var packet in data.m_PacketQueue)
@@ -145,11 +162,13 @@ namespace Unity.NetCode
             ref var snapshotCollectionData = ref query.GetSingletonRW<GhostStatsCollectionSnapshot>().ValueRW;
             ref var predictionErrorData = ref query.GetSingletonRW<GhostStatsCollectionPredictionError>().ValueRW;
             ref readonly var minMaxTickData = ref query.GetSingletonRW<GhostStatsCollectionMinMaxTick>().ValueRO;
+            ref var rpcStatsData = ref query.GetSingletonRW<GhostStatsCollectionRpc>().ValueRW;
             commandStatsData.Value[0] = 0;
             commandStatsData.Value[1] = 0;
             commandStatsData.Value[2] = 0;
             snapshotCollectionData.Data.Clear();
             predictionErrorData.Data.Clear();
+            UnsafeUtility.MemClear(rpcStatsData.Data.GetUnsafePtr(), UnsafeUtility.SizeOf<uint>()*rpcStatsData.Data.Length);
             UnsafeUtility.MemClear(minMaxTickData.Value.GetUnsafePtr(), UnsafeUtility.SizeOf<NetworkTick>()*minMaxTickData.Value.Length);
         }
     }
@@ -0,0 +1,44 @@
+#if UNITY_EDITOR || NETCODE_DEBUG
+using Unity.Collections;
+using Unity.Entities;
+
+namespace Unity.NetCode
+{
+    /// <summary>
+    /// Send custom event markers, for example "wave 3 started" or "player joined", to the Network Debugger (NetDbg).
+    /// The markers are drawn as labeled vertical lines at the current server tick of the world and are listed in the
+    /// marker sidebar of the tool. Markers are dropped when the tool is not connected.
+    /// </summary>
+    public static class NetDbgMarkers
+    {
+        /// <summary>
+        /// Add a marker at the current <see cref="NetworkTime.ServerTick"/> of the world owning the entity manager.
+        /// </summary>
+        /// <param name="entityManager">The entity manager of the client or server world the marker belongs to.</param>
+        /// <param name="label">The text shown next to the marker.</param>
+        /// <param name="category">Optional category, markers of the same category are drawn with the same color.</param>
+        public static void Add(EntityManager entityManager, in FixedString128Bytes label, in FixedString32Bytes category = default)
+        {
+            using var timeQuery = entityManager.CreateEntityQuery(new EntityQueryBuilder(Allocator.Temp).WithAll<NetworkTime>());
+            if (!timeQuery.TryGetSingleton<NetworkTime>(out var networkTime))
+                return;
+            Add(entityManager, networkTime.ServerTick, label, category);
+        }
+
+        /// <summary>
+        /// Add a marker at the given server tick.
+        /// </summary>
+        /// <param name="entityManager">The entity manager of the client or server world the marker belongs to.</param>
+        /// <param name="tick">The server tick the marker is drawn at.</param>
+        /// <param name="label">The text shown next to the marker.</param>
+        /// <param name="category">Optional category, markers of the same category are drawn with the same color.</param>
+        public static void Add(EntityManager entityManager, NetworkTick tick, in FixedString128Bytes label, in FixedString32Bytes category = default)
+        {
+            using var collectionQuery = entityManager.CreateEntityQuery(new EntityQueryBuilder(Allocator.Temp).WithAllRW<GhostStatsCollectionData>());
+            if (!collectionQuery.TryGetSingletonRW<GhostStatsCollectionData>(out var collectionData))
+                return;
+            collectionData.ValueRW.AppendMarkerPacket(tick, label, category);
+        }
+    }
+}
+#endif
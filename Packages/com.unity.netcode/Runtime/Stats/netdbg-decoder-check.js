@@ -0,0 +1,197 @@
+// Checks the stats stream decoder without a browser or a game, for example in CI:
+//
+//	node netdbg-decoder-check.js
+//
+// The fixture frames below are written in the layout of every supported protocol version and decoded again,
+// including the base64 encoding used by capture files, the empty frames inserted for missing ticks and the
+// packets the decoder has to drop. Exits with a non-zero code on the first failure.
+
+var assert = require("assert");
+var NetDbgDecoder = require("./netdbg-decoder.js");
+
+var Names = {index: 0, name: "Fixture", ghosts: ["Destroy", "Player", "Bullet"], errors: ["Player - Translation"], rpcs: ["ChatRpc", "SpawnRpc"]};
+
+var Time = {fraction: 0.5, scale: 1, interpolation: 2, interpolationScale: 1, commandAge: 1.5, rtt: 50, jitter: 3, snapshotAgeMin: 1, snapshotAgeMax: 2};
+
+// Tick 1003 is not sent, the decoder inserts a missing frame for it.
+var Frames = [
+	{serverTick: 1000, snapshotTicks: [999], snapshot: [[0, 0, 0], [2, 180, 1], [10, 400, 0]], predictionError: [0.25], commandTicks: [1002], commandSize: 48, discardedPackets: 0,
+		rpcs: [{sent: 1, sentBytes: 24, received: 0, receivedBytes: 0}, {sent: 0, sentBytes: 0, received: 2, receivedBytes: 64}]},
+	{serverTick: 1001, snapshotTicks: [], snapshot: [[0, 0, 0], [0, 0, 0], [0, 0, 0]], predictionError: [0], commandTicks: [1003], commandSize: 40, discardedPackets: 1},
+	{serverTick: 1002, snapshotTicks: [1000, 1001], snapshot: [[1, 8, 0], [2, 120, 0], [4, 160, 4]], predictionError: [0.5], commandTicks: [1004, 1005], commandSize: 96, discardedPackets: 0},
+	{serverTick: 1004, snapshotTicks: [1003], snapshot: [[0, 0, 0], [2, 100, 0], [0, 0, 0]], predictionError: [0], commandTicks: [1006], commandSize: 44, discardedPackets: 0}
+];
+
+var TimeFields = ["fraction", "scale", "interpolation", "interpolationScale", "commandAge", "rtt", "jitter", "snapshotAgeMin", "snapshotAgeMax"];
+
+// Writes a fixture frame like GhostStatsCollectionSystem.BuildPacket did in the given protocol version.
+function encodeFrame(version, frame, counts) {
+	counts = counts || {ghosts: Names.ghosts.length, errors: Names.errors.length, rpcs: Names.rpcs.length};
+	var hasRpcs = version >= 3 && frame.rpcs != undefined;
+	var header = {size: NetDbgDecoder.headerSize(version), timeLen: 1, timeSampleFloats: TimeFields.length,
+		snapshotLen: frame.snapshotTicks.length, commandLen: frame.commandTicks.length, hasRpcs: hasRpcs, rpcCount: version >= 3 ? counts.rpcs : 0};
+	var data = new ArrayBuffer(NetDbgDecoder.frameSize(header, Names.ghosts.length, Names.errors.length));
+	var bytes = new Uint8Array(data);
+	var words = new Uint32Array(data);
+	var floats = new Float32Array(data);
+	words[0] = frame.serverTick;
+	bytes[4] = Names.index;
+	bytes[5] = header.timeLen;
+	bytes[6] = header.snapshotLen;
+	bytes[7] = header.commandLen;
+	bytes[8] = hasRpcs ? 1 : 0;
+	bytes[9] = frame.discardedPackets;
+	// Version 1 has zeros in the version and time sample bytes and no counts.
+	if (version >= 2) {
+		bytes[10] = version;
+		bytes[11] = header.timeSampleFloats;
+		var header16 = new Uint16Array(data, 12, (header.size - 12) >> 1);
+		header16[0] = counts.ghosts;
+		header16[1] = counts.errors;
+		if (version >= 3)
+			header16[2] = counts.rpcs;
+	}
+	var offset = header.size >> 2;
+	for (var i = 0; i < TimeFields.length; ++i)
+		floats[offset++] = Time[TimeFields[i]];
+	for (var i = 0; i < frame.snapshotTicks.length; ++i)
+		words[offset++] = frame.snapshotTicks[i];
+	for (var i = 0; i < frame.snapshot.length; ++i) {
+		words[offset++] = frame.snapshot[i][0];
+		words[offset++] = frame.snapshot[i][1];
+		words[offset++] = frame.snapshot[i][2];
+	}
+	for (var i = 0; i < frame.predictionError.length; ++i)
+		floats[offset++] = frame.predictionError[i];
+	for (var i = 0; i < frame.commandTicks.length; ++i)
+		words[offset++] = frame.commandTicks[i];
+	words[offset++] = frame.commandSize;
+	for (var i = 0; hasRpcs && i < frame.rpcs.length; ++i) {
+		words[offset++] = frame.rpcs[i].sent;
+		words[offset++] = frame.rpcs[i].sentBytes;
+		words[offset++] = frame.rpcs[i].received;
+		words[offset++] = frame.rpcs[i].receivedBytes;
+	}
+	return data;
+}
+
+function namePacket(changes) {
+	var packet = JSON.parse(JSON.stringify(Names));
+	for (var key in changes)
+		packet[key] = changes[key];
+	return JSON.stringify(packet);
+}
+
+function checkBase64(version) {
+	var data = encodeFrame(version, Frames[0]);
+	var decoded = new Uint8Array(NetDbgDecoder.decodeBase64(NetDbgDecoder.encodeBase64(data)));
+	assert.deepStrictEqual(Array.from(decoded), Array.from(new Uint8Array(data)), "base64 round trip changed the frame");
+	// Node Buffers are accepted like ArrayBuffers.
+	var header = NetDbgDecoder.decodeHeader(Buffer.from(data));
+	assert.strictEqual(header.version, version);
+}
+
+function checkFrames(version) {
+	var decoder = new NetDbgDecoder();
+	if (version >= 2) {
+		var hello = decoder.decode(JSON.stringify({type: "hello", version: version, capabilities: ["markers"]}));
+		assert.strictEqual(hello.type, "hello");
+		assert.strictEqual(hello.error, undefined);
+	}
+	var names = decoder.decode(namePacket());
+	assert.strictEqual(names.type, "names");
+	assert.deepStrictEqual(names.connection.ghosts, Names.ghosts);
+
+	var received = [];
+	for (var i = 0; i < Frames.length; ++i) {
+		var data = encodeFrame(version, Frames[i]);
+		var header = NetDbgDecoder.decodeHeader(data);
+		assert.strictEqual(header.version, version, "header version");
+		assert.strictEqual(header.tick, Frames[i].serverTick);
+		var result = decoder.decode(data);
+		assert.strictEqual(result.type, "frames", "frame " + i + " was " + result.type + ": " + result.reason);
+		received = received.concat(result.frames);
+	}
+	assert.strictEqual(decoder.droppedPackets, 0);
+	assert.deepStrictEqual(received.map(function(frame) { return frame.serverTick; }), [1000, 1001, 1002, 1003, 1004]);
+	assert.ok(received[3].missing, "tick 1003 is missing");
+	assert.strictEqual(received[3].snapshotAge, received[2].snapshotAge + 1);
+
+	var decoded = received.filter(function(frame) { return !frame.missing; });
+	for (var i = 0; i < Frames.length; ++i) {
+		var expected = Frames[i];
+		var frame = decoded[i];
+		assert.strictEqual(frame.missing, false);
+		assert.deepStrictEqual(frame.snapshotTicks, expected.snapshotTicks);
+		assert.deepStrictEqual(frame.snapshot, expected.snapshot.map(function(s) { return {count: s[0], size: s[1], uncompressed: s[2]}; }));
+		assert.deepStrictEqual(frame.predictionError, expected.predictionError);
+		assert.deepStrictEqual(frame.commandTicks, expected.commandTicks);
+		assert.strictEqual(frame.commandSize, expected.commandSize);
+		assert.strictEqual(frame.discardedPackets, expected.discardedPackets);
+		assert.deepStrictEqual(frame.time, [Time]);
+		assert.deepStrictEqual(frame.rpcs, version >= 3 && expected.rpcs != undefined ? expected.rpcs : []);
+	}
+	// The snapshot age is taken from the last snapshot tick, or grows by one without a snapshot.
+	assert.deepStrictEqual(decoded.map(function(frame) { return frame.snapshotAge; }), [1, 2, 1, 1]);
+}
+
+// Frames which do not match the last name packet of their connection are dropped. From version 2 on the frame
+// header has the counts to report the mismatch, version 1 frames are only dropped because of their size.
+function checkDrops(version) {
+	var decoder = new NetDbgDecoder();
+	var data = encodeFrame(version, Frames[0]);
+	assert.strictEqual(decoder.decode(data).type, "dropped", "frame before the name packet");
+	assert.strictEqual(decoder.decode(new ArrayBuffer(5)).type, "dropped", "frame shorter than the header");
+	assert.strictEqual(decoder.decode("{not json").type, "dropped", "invalid JSON");
+	assert.strictEqual(decoder.decode(JSON.stringify({index: 0, ghosts: []})).type, "dropped", "name packet without errors");
+	var expectedDrops = 4;
+
+	var mismatches = [
+		{names: {ghosts: Names.ghosts.concat(["Extra"])}, reason: /ghost types/},
+		{names: {errors: Names.errors.concat(["Extra - Translation"])}, reason: /errors/}];
+	if (version >= 3)
+		mismatches.push({names: {rpcs: Names.rpcs.concat(["ExtraRpc"])}, reason: /rpc types/});
+	for (var i = 0; i < mismatches.length; ++i) {
+		decoder.decode(namePacket(mismatches[i].names));
+		var result = decoder.decode(data);
+		assert.strictEqual(result.type, "dropped", "mismatch " + mismatches[i].reason);
+		assert.ok(version == 1 ? /bytes, expected/.test(result.reason) : mismatches[i].reason.test(result.reason), result.reason);
+		++expectedDrops;
+	}
+
+	decoder.decode(namePacket());
+	assert.strictEqual(decoder.decode(data).type, "frames", "frame after the matching name packet");
+
+	var newer = new Uint8Array(encodeFrame(version, Frames[1]));
+	newer[10] = NetDbgDecoder.ProtocolVersion + 1;
+	assert.ok(/unsupported version/.test(decoder.decode(newer.buffer).reason), "frame of a newer version");
+	++expectedDrops;
+	assert.strictEqual(decoder.droppedPackets, expectedDrops);
+
+	var unsupported = new NetDbgDecoder();
+	assert.ok(unsupported.decode(JSON.stringify({type: "hello", version: NetDbgDecoder.ProtocolVersion + 1})).error != undefined, "newer hello");
+	assert.strictEqual(unsupported.decode(namePacket()), null, "packets after an unsupported hello");
+}
+
+function checkCapture(version) {
+	var frames = [];
+	for (var i = 0; i < Frames.length; ++i)
+		frames.push(NetDbgDecoder.encodeBase64(encodeFrame(version, Frames[i])));
+	var marker = JSON.stringify({type: "marker", index: 0, tick: 1002, label: "Check", category: "test"});
+	var session = {format: "NetDbgCapture", version: 1, connections: [{host: "check", index: 0, name: "Fixture",
+		names: [{at: 0, packet: namePacket()}], frames: frames, markers: [marker]}]};
+	var connections = NetDbgDecoder.decodeCapture(session);
+	assert.strictEqual(connections.length, 1);
+	assert.strictEqual(connections[0].frames.length, 5);
+	assert.deepStrictEqual(connections[0].ghosts, Names.ghosts);
+	assert.deepStrictEqual(connections[0].rpcs, Names.rpcs);
+	assert.deepStrictEqual(connections[0].markers, [{tick: 1002, label: "Check", category: "test"}]);
+}
+
+for (var version = NetDbgDecoder.MinProtocolVersion; version <= NetDbgDecoder.ProtocolVersion; ++version) {
+	checkBase64(version);
+	checkFrames(version);
+	checkDrops(version);
+	checkCapture(version);
+	console.log("netdbg-decoder-check: version " + version + " ok");
+}
@@ -0,0 +1,324 @@
+// Decoder for the stats stream sent by the GhostStatsCollectionSystem. It does not touch the DOM, so the
+// same code is used by the NetDbg viewer and by scripts running in Node:
+//
+//	var NetDbgDecoder = require("./netdbg-decoder.js");
+//	var decoder = new NetDbgDecoder();
+//	var result = decoder.decode(packet);
+//
+// Text packets are JSON, either the name packets written by GhostStatsCollectionData.AppendNamePacket or
+// packets with a "type" field such as the markers written by AppendMarkerPacket. Binary packets are the
+// per tick frames written by GhostStatsCollectionSystem.BuildPacket.
+//
+// Every connection starts with a "hello" packet carrying the protocol version and the optional packet types
+// the game sends. Games which predate the hello packet send version 1 frames. Binary frames also carry the
+// version in their header, so captures can be decoded without the hello packet:
+//
+//	version 1: 12 byte header, tick(u32) con timeLen snapshotLen commandLen rpcs discarded 0 0
+//	version 2: 16 byte header, as version 1 with version and floats per time sample in the last two bytes,
+//	           followed by the number of ghost types(u16) and prediction errors(u16)
+//	version 3: 20 byte header, as version 2 followed by the number of rpc types(u16) and two unused bytes.
+//	           The rpcs byte is 1 if the frame ends with sent count, sent bytes, received count and received
+//	           bytes(u32) for every rpc type, it is 0 for ticks without rpc traffic.
+
+function NetDbgDecoder() {
+	this.connections = [];
+	this.version = undefined;
+	this.capabilities = [];
+	this.error = undefined;
+	this.droppedPackets = 0;
+	this.dropReason = undefined;
+}
+
+NetDbgDecoder.ProtocolVersion = 3;
+NetDbgDecoder.MinProtocolVersion = 1;
+NetDbgDecoder.TimeSampleFloats = 9;
+
+// Decodes a single packet. Returns {type: "hello", version, capabilities, error} for hello packets,
+// {type: "names", index, connection} for name packets, {type: "marker", index, marker} for marker packets
+// and {type: "frames", index, frames} for binary packets, where frames also contains the empty frames
+// inserted for any ticks missing since the previous packet. Those have missing set to true.
+// Malformed packets and packets for a connection which has not received a name packet yet return
+// {type: "dropped", reason} and are counted in droppedPackets. Returns null for text packets of an unknown
+// type and for all packets after a hello packet with an unsupported version, which sets error.
+NetDbgDecoder.prototype.decode = function(data) {
+	if (this.error != undefined)
+		return null;
+	if (typeof(data) == "string")
+		return this.decodeText(data);
+	return this.decodeFrames(data);
+}
+
+NetDbgDecoder.prototype.drop = function(reason) {
+	++this.droppedPackets;
+	this.dropReason = reason;
+	return {type: "dropped", reason: reason};
+}
+
+NetDbgDecoder.prototype.decodeText = function(text) {
+	var packet;
+	try {
+		packet = JSON.parse(text);
+	} catch (e) {
+		return this.drop("invalid JSON: " + e.message);
+	}
+	if (packet == null || typeof(packet) != "object")
+		return this.drop("text packet is not an object");
+	if (packet.type == "hello")
+		return this.decodeHello(packet);
+	// Name packets predate the type field.
+	if (packet.type == undefined || packet.type == "names")
+		return this.decodeNames(packet);
+	if (packet.type == "marker")
+		return {type: "marker", index: packet.index, marker: {tick: packet.tick, label: "" + packet.label, category: packet.category || ""}};
+	return null;
+}
+
+NetDbgDecoder.prototype.decodeHello = function(packet) {
+	var version = packet.version;
+	if (!(version >= NetDbgDecoder.MinProtocolVersion && version <= NetDbgDecoder.ProtocolVersion)) {
+		this.error = "The game uses NetDbg protocol version " + version + " but this viewer supports versions " +
+			NetDbgDecoder.MinProtocolVersion + " to " + NetDbgDecoder.ProtocolVersion + ". Use the netdbg.html shipped with the game's Netcode package.";
+	}
+	this.version = version;
+	this.capabilities = Array.isArray(packet.capabilities) ? packet.capabilities : [];
+	return {type: "hello", version: version, capabilities: this.capabilities, error: this.error};
+}
+
+NetDbgDecoder.prototype.decodeNames = function(packet) {
+	if (typeof(packet.index) != "number" || !Array.isArray(packet.ghosts) || !Array.isArray(packet.errors))
+		return this.drop("name packet without index, ghosts or errors");
+	var connection = this.connections[packet.index];
+	if (connection == undefined) {
+		connection = {lastFrame: undefined};
+		this.connections[packet.index] = connection;
+	}
+	connection.name = packet.name;
+	connection.ghosts = packet.ghosts;
+	connection.errors = packet.errors;
+	// Rpc names were added in version 3.
+	connection.rpcs = Array.isArray(packet.rpcs) ? packet.rpcs : [];
+	// Optional, games which do not send their MTU use the default of the viewer.
+	connection.mtu = typeof(packet.mtu) == "number" && packet.mtu > 0 ? packet.mtu : undefined;
+	return {type: "names", index: packet.index, connection: connection};
+}
+
+NetDbgDecoder.prototype.decodeFrames = function(data) {
+	data = NetDbgDecoder.toArrayBuffer(data);
+	if (data.byteLength < NetDbgDecoder.headerSize(1))
+		return this.drop("binary packet of " + data.byteLength + " bytes is smaller than the header");
+	var header = NetDbgDecoder.decodeHeader(data);
+	if (header.version < NetDbgDecoder.MinProtocolVersion || header.version > NetDbgDecoder.ProtocolVersion)
+		return this.drop("binary packet has unsupported version " + header.version);
+	var connection = this.connections[header.con];
+	if (connection == undefined)
+		return this.drop("binary packet for unknown connection " + header.con);
+	if (header.version >= 2 && (header.ghostCount != connection.ghosts.length || header.errorCount != connection.errors.length))
+		return this.drop("binary packet has " + header.ghostCount + " ghost types and " + header.errorCount +
+			" errors, the name packet has " + connection.ghosts.length + " and " + connection.errors.length);
+	if (header.version >= 3 && header.rpcCount != connection.rpcs.length)
+		return this.drop("binary packet has " + header.rpcCount + " rpc types, the name packet has " + connection.rpcs.length);
+	var size = NetDbgDecoder.frameSize(header, connection.ghosts.length, connection.errors.length);
+	if (data.byteLength != size)
+		return this.drop("binary packet is " + data.byteLength + " bytes, expected " + size);
+
+	var frame = NetDbgDecoder.decodeFrame(data, connection.ghosts.length, connection.errors.length);
+	var frames = [];
+	var lastFrame = connection.lastFrame;
+	if (frame.snapshotTicks.length > 0) {
+		frame.snapshotAge = frame.serverTick - frame.snapshotTicks[frame.snapshotTicks.length-1];
+	} else if (lastFrame != undefined) {
+		frame.snapshotAge = lastFrame.snapshotAge + 1;
+	}
+	if (lastFrame != undefined && lastFrame.serverTick+1 < frame.serverTick) {
+		var age = lastFrame.snapshotAge;
+		var emptySnap = [];
+		for (var i = 0; i < connection.ghosts.length; ++i) {
+			emptySnap.push({count: 0, size: 0, uncompressed: 0});
+		}
+		for (var missing = lastFrame.serverTick + 1; missing < frame.serverTick; ++missing) {
+			++age;
+			frames.push({serverTick: missing, snapshotAge: age, snapshot: emptySnap, snapshotTicks: [], predictionError: [], time: [], commandTicks: [], commandSize: 0, rpcs: [], discardedPackets: 0, missing: true});
+		}
+	}
+	frames.push(frame);
+	connection.lastFrame = frame;
+	return {type: "frames", index: header.con, frames: frames};
+}
+
+NetDbgDecoder.toArrayBuffer = function(data) {
+	// Node Buffers and other typed views are copied so the Uint32Array/Float32Array views below are aligned.
+	if (ArrayBuffer.isView(data))
+		return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+	return data;
+}
+
+NetDbgDecoder.headerSize = function(version) {
+	if (version >= 3)
+		return 20;
+	return version >= 2 ? 16 : 12;
+}
+
+NetDbgDecoder.decodeHeader = function(data) {
+	data = NetDbgDecoder.toArrayBuffer(data);
+	var header = new Uint8Array(data, 4, 8);
+	// Version 1 wrote zeros in the version and time sample bytes.
+	var version = header[6] == 0 ? 1 : header[6];
+	var result = {
+		version: version,
+		size: NetDbgDecoder.headerSize(version),
+		tick: new Uint32Array(data, 0, 1)[0],
+		con: header[0],
+		timeLen: header[1],
+		snapshotLen: header[2],
+		commandLen: header[3],
+		hasRpcs: header[4] != 0,
+		discardedPackets: header[5],
+		timeSampleFloats: version >= 2 ? header[7] : NetDbgDecoder.TimeSampleFloats
+	};
+	if (version >= 2 && data.byteLength >= result.size) {
+		var counts = new Uint16Array(data, 12, 2);
+		result.ghostCount = counts[0];
+		result.errorCount = counts[1];
+	}
+	result.rpcCount = version >= 3 && data.byteLength >= result.size ? new Uint16Array(data, 16, 1)[0] : 0;
+	return result;
+}
+
+// Expected size in bytes of a binary frame with the given header.
+NetDbgDecoder.frameSize = function(header, ghostCount, errorCount) {
+	return header.size + header.timeLen * header.timeSampleFloats * 4 + header.snapshotLen * 4 +
+		ghostCount * 3 * 4 + errorCount * 4 + header.commandLen * 4 + 4 + (header.hasRpcs ? header.rpcCount * 16 : 0);
+}
+
+// Decodes a single binary frame. The number of ghost types and prediction errors are not part of the
+// packet, they come from the last name packet of the connection.
+NetDbgDecoder.decodeFrame = function(data, ghostCount, errorCount) {
+	data = NetDbgDecoder.toArrayBuffer(data);
+	var header = NetDbgDecoder.decodeHeader(data);
+	var dataOffset = header.size;
+
+	// Newer versions may append fields to the time samples, only the known ones are read.
+	var stride = header.timeSampleFloats;
+	var time = [];
+	var timeArr = new Float32Array(data, dataOffset, header.timeLen * stride);
+	var timeField = function(i, field) { return field < stride ? timeArr[i*stride + field] : 0; };
+	for (var i = 0; i < header.timeLen; ++i) {
+		time.push({
+			fraction: timeField(i, 0),
+			scale: timeField(i, 1),
+			interpolation: timeField(i, 2),
+			interpolationScale: timeField(i, 3),
+			commandAge: timeField(i, 4),
+			rtt: timeField(i, 5),
+			jitter: timeField(i, 6),
+			snapshotAgeMin: timeField(i, 7),
+			snapshotAgeMax: timeField(i, 8)
+		});
+	}
+	dataOffset += header.timeLen * stride * 4;
+
+	var snapshotTicks = Array.from(new Uint32Array(data, dataOffset, header.snapshotLen));
+	dataOffset += header.snapshotLen * 4;
+
+	var snapArr = new Uint32Array(data, dataOffset, ghostCount * 3);
+	var snapshot = [];
+	for (var i = 0; i < ghostCount; ++i) {
+		snapshot.push({count: snapArr[i*3], size: snapArr[i*3+1], uncompressed: snapArr[i*3+2]});
+	}
+	dataOffset += ghostCount * 3 * 4;
+
+	var predictionError = Array.from(new Float32Array(data, dataOffset, errorCount));
+	dataOffset += errorCount * 4;
+
+	var cmdTickArr = new Uint32Array(data, dataOffset, header.commandLen + 1);
+	var commandTicks = Array.from(cmdTickArr.subarray(0, header.commandLen));
+	var commandSize = cmdTickArr[header.commandLen];
+	dataOffset += (header.commandLen + 1) * 4;
+
+	var rpcs = [];
+	if (header.hasRpcs) {
+		var rpcArr = new Uint32Array(data, dataOffset, header.rpcCount * 4);
+		for (var i = 0; i < header.rpcCount; ++i)
+			rpcs.push({sent: rpcArr[i*4], sentBytes: rpcArr[i*4+1], received: rpcArr[i*4+2], receivedBytes: rpcArr[i*4+3]});
+	}
+
+	return {
+		serverTick: header.tick,
+		snapshotAge: 0,
+		snapshot: snapshot,
+		snapshotTicks: snapshotTicks,
+		predictionError: predictionError,
+		time: time,
+		commandTicks: commandTicks,
+		commandSize: commandSize,
+		rpcs: rpcs,
+		discardedPackets: header.discardedPackets,
+		missing: false
+	};
+}
+
+// Decodes all connections of a capture file written by the viewer's "Save session" into
+// {host, index, name, ghosts, errors, rpcs, frames, markers} objects.
+NetDbgDecoder.decodeCapture = function(session) {
+	var decoders = {};
+	var connections = [];
+	for (var c = 0; c < session.connections.length; ++c) {
+		var capture = session.connections[c];
+		var host = capture.host != undefined ? capture.host : "capture";
+		if (decoders[host] == undefined)
+			decoders[host] = new NetDbgDecoder();
+		var decoder = decoders[host];
+		var frames = [];
+		var nextName = 0;
+		for (var i = 0; i <= capture.frames.length; ++i) {
+			while (nextName < capture.names.length && capture.names[nextName].at <= i)
+				decoder.decode(capture.names[nextName++].packet);
+			if (i < capture.frames.length) {
+				var result = decoder.decode(NetDbgDecoder.decodeBase64(capture.frames[i]));
+				if (result != null && result.type == "frames")
+					frames = frames.concat(result.frames);
+			}
+		}
+		var connection = decoder.connections[capture.index];
+		var markers = [];
+		for (var i = 0; capture.markers != undefined && i < capture.markers.length; ++i) {
+			var result = decoder.decode(capture.markers[i]);
+			if (result != null && result.type == "marker")
+				markers.push(result.marker);
+		}
+		connections.push({
+			host: host,
+			index: capture.index,
+			name: capture.name,
+			ghosts: connection != undefined ? connection.ghosts : [],
+			errors: connection != undefined ? connection.errors : [],
+			rpcs: connection != undefined ? connection.rpcs : [],
+			frames: frames,
+			markers: markers
+		});
+	}
+	return connections;
+}
+
+NetDbgDecoder.encodeBase64 = function(buffer) {
+	var bytes = new Uint8Array(buffer);
+	if (typeof(btoa) == "undefined")
+		return Buffer.from(bytes).toString("base64");
+	var binary = "";
+	for (var i = 0; i < bytes.length; i += 0x8000)
+		binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+	return btoa(binary);
+}
+
+NetDbgDecoder.decodeBase64 = function(text) {
+	if (typeof(atob) == "undefined")
+		return NetDbgDecoder.toArrayBuffer(Buffer.from(text, "base64"));
+	var binary = atob(text);
+	var bytes = new Uint8Array(binary.length);
+	for (var i = 0; i < binary.length; ++i)
+		bytes[i] = binary.charCodeAt(i);
+	return bytes.buffer;
+}
+
+if (typeof(module) != "undefined")
+	module.exports = NetDbgDecoder;
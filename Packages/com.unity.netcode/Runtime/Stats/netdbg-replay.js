@@ -0,0 +1,514 @@
+// Stand-in for the game's DebugWebSocket, used to test the NetDbg viewer or demo a captured problem without
+// running the game. It streams a capture written by the viewer's "Save session", or synthetic traffic, using
+// the same WebSocket protocol as the game, so netdbg.html connects to it like it connects to the game:
+//
+//	node netdbg-replay.js session.json [--port 8787] [--speed 1] [--tick-rate 60] [--loop] [--host localhost:8787]
+//	node netdbg-replay.js --synthetic [--ghosts 8] [--spike-every 300] [--protocol 3]
+//
+// --loss <fraction> drops that fraction of the binary frames and --jitter <ms> delays every tick by up to that
+// many milliseconds, with both a capture and synthetic traffic. While running the replay reads commands from
+// stdin: pause, resume, speed <factor>, seek <tick>, loop on|off, status and quit.
+//
+// Like the game only one viewer is connected at a time, a new connection replaces the previous one. Every
+// connection gets the hello packet and the current name packets before the frames. The viewer expects the
+// ticks of a connection to increase, so after a seek or a loop the ticks of all packets are shifted to
+// continue where the stream left off.
+
+var http = require("http");
+var crypto = require("crypto");
+var fs = require("fs");
+var readline = require("readline");
+var NetDbgDecoder = require("./netdbg-decoder.js");
+
+function NetDbgReplay(options) {
+	this.port = options.port;
+	this.speed = options.speed;
+	this.tickRate = options.tickRate;
+	this.loop = options.loop;
+	this.loss = options.loss;
+	this.jitter = options.jitter;
+	this.paused = false;
+	this.socket = undefined;
+	this.timer = undefined;
+	// Number of ticks added to the ticks of all packets sent, changed by seek and loop.
+	this.tickShift = 0;
+	this.lastSentTick = undefined;
+	this.droppedFrames = 0;
+	// Index of the next event to send for captures, the next tick to generate for synthetic traffic.
+	this.position = 0;
+	this.events = [];
+	this.synthetic = options.synthetic ? new NetDbgSyntheticTraffic(options) : undefined;
+}
+
+NetDbgReplay.WebSocketGuid = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Flattens the connections of a single host in a capture into one list of packets ordered by tick. Name
+// packets are sent right before the frame they preceded when the capture was recorded.
+NetDbgReplay.prototype.loadCapture = function(session, host) {
+	if (session.format !== "NetDbgCapture" || !Array.isArray(session.connections))
+		throw new Error("not a NetDbg capture written by \"Save session\"");
+	var hosts = [];
+	for (var c = 0; c < session.connections.length; ++c) {
+		var captureHost = session.connections[c].host != undefined ? session.connections[c].host : "capture";
+		if (hosts.indexOf(captureHost) < 0)
+			hosts.push(captureHost);
+	}
+	if (host == undefined)
+		host = hosts[0];
+	if (hosts.indexOf(host) < 0)
+		throw new Error("the capture has no host " + host + ", it contains " + hosts.join(", "));
+
+	var events = [];
+	for (var c = 0; c < session.connections.length; ++c) {
+		var capture = session.connections[c];
+		if ((capture.host != undefined ? capture.host : "capture") != host)
+			continue;
+		var tick = 0;
+		var nextName = 0;
+		for (var i = 0; i < capture.frames.length; ++i) {
+			var data = NetDbgDecoder.decodeBase64(capture.frames[i]);
+			tick = NetDbgDecoder.decodeHeader(data).tick;
+			while (nextName < capture.names.length && capture.names[nextName].at <= i)
+				events.push({tick: tick, order: 0, type: "names", index: capture.index, data: capture.names[nextName++].packet});
+			events.push({tick: tick, order: 1, type: "frame", index: capture.index, data: data});
+		}
+		while (nextName < capture.names.length)
+			events.push({tick: tick, order: 0, type: "names", index: capture.index, data: capture.names[nextName++].packet});
+		var markers = capture.markers || [];
+		for (var i = 0; i < markers.length; ++i)
+			events.push({tick: JSON.parse(markers[i]).tick, order: 2, type: "marker", index: capture.index, data: markers[i]});
+	}
+	for (var i = 0; i < events.length; ++i)
+		events[i].sequence = i;
+	events.sort(function(a, b) { return a.tick - b.tick || a.order - b.order || a.sequence - b.sequence; });
+	if (events.length == 0)
+		throw new Error("the capture has no packets for host " + host);
+	this.events = events;
+	this.host = host;
+}
+
+NetDbgReplay.prototype.start = function() {
+	this.server = http.createServer(function(req, res) {
+		res.writeHead(426, {"Content-Type": "text/plain"});
+		res.end("NetDbg replay server, connect to it from netdbg.html.\n");
+	});
+	this.server.on("upgrade", this.accept.bind(this));
+	this.server.listen(this.port, function() {
+		console.log("NetDbg replay listening on port " + this.port);
+		this.status();
+	}.bind(this));
+	this.nextTime = Date.now();
+	this.schedule(0);
+}
+
+NetDbgReplay.prototype.stop = function() {
+	clearTimeout(this.timer);
+	if (this.socket != undefined)
+		this.socket.destroy();
+	this.server.close();
+}
+
+// Completes the WebSocket handshake and starts streaming to the new viewer.
+NetDbgReplay.prototype.accept = function(req, socket) {
+	var key = req.headers["sec-websocket-key"];
+	if (key == undefined || req.headers["sec-websocket-version"] != "13") {
+		socket.end("HTTP/1.1 400 Bad Request\r\nContent-Length: 0\r\nConnection: Closed\r\n\r\n");
+		return;
+	}
+	var accept = crypto.createHash("sha1").update(key + NetDbgReplay.WebSocketGuid).digest("base64");
+	socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: " + accept + "\r\n\r\n");
+	socket.setNoDelay(true);
+	if (this.socket != undefined)
+		this.socket.destroy();
+	this.socket = socket;
+	socket.received = Buffer.alloc(0);
+	socket.on("data", this.receive.bind(this, socket));
+	socket.on("error", function() {});
+	socket.on("close", function() {
+		if (this.socket === socket) {
+			this.socket = undefined;
+			console.log("Viewer disconnected");
+		}
+	}.bind(this));
+	console.log("Viewer connected from " + socket.remoteAddress);
+
+	// Games which predate the hello packet send version 1 frames without it.
+	var version = this.synthetic != undefined ? this.synthetic.version : NetDbgDecoder.ProtocolVersion;
+	if (version >= 2)
+		this.sendText(JSON.stringify({type: "hello", version: version, capabilities: version >= 3 ? ["markers", "rpcs"] : ["markers"]}));
+	this.sendCurrentNames();
+}
+
+// The viewer only sends control frames, close and ping are answered and everything else is ignored.
+NetDbgReplay.prototype.receive = function(socket, chunk) {
+	socket.received = Buffer.concat([socket.received, chunk]);
+	while (socket.received.length >= 2) {
+		var data = socket.received;
+		var opcode = data[0] & 0x0f;
+		var length = data[1] & 0x7f;
+		var offset = 2;
+		if (length == 126) {
+			if (data.length < 4)
+				return;
+			length = data.readUInt16BE(2);
+			offset = 4;
+		} else if (length == 127) {
+			if (data.length < 10)
+				return;
+			length = Number(data.readBigUInt64BE(2));
+			offset = 10;
+		}
+		var masked = (data[1] & 0x80) != 0;
+		if (data.length < offset + (masked ? 4 : 0) + length)
+			return;
+		var payload = Buffer.from(data.subarray(offset + (masked ? 4 : 0), offset + (masked ? 4 : 0) + length));
+		for (var i = 0; masked && i < payload.length; ++i)
+			payload[i] ^= data[offset + (i & 3)];
+		socket.received = data.subarray(offset + (masked ? 4 : 0) + length);
+		if (opcode == 8) {
+			socket.end(this.encodeFrame(8, payload));
+			return;
+		}
+		if (opcode == 9)
+			socket.write(this.encodeFrame(10, payload));
+	}
+}
+
+NetDbgReplay.prototype.encodeFrame = function(opcode, payload) {
+	var header;
+	if (payload.length < 126) {
+		header = Buffer.from([0x80 | opcode, payload.length]);
+	} else if (payload.length < 0x10000) {
+		header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+		header.writeUInt16BE(payload.length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header[0] = 0x80 | opcode;
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(payload.length), 2);
+	}
+	return Buffer.concat([header, payload]);
+}
+
+NetDbgReplay.prototype.sendText = function(text) {
+	if (this.socket != undefined)
+		this.socket.write(this.encodeFrame(1, Buffer.from(text, "utf8")));
+}
+
+NetDbgReplay.prototype.sendBinary = function(data) {
+	if (this.socket != undefined)
+		this.socket.write(this.encodeFrame(2, Buffer.from(data)));
+}
+
+// Sends the last name packet of every connection before the current position, so a viewer connecting
+// in the middle of the replay, or after a seek, can decode the frames which follow.
+NetDbgReplay.prototype.sendCurrentNames = function() {
+	if (this.synthetic != undefined) {
+		this.sendText(this.synthetic.namePacket());
+		return;
+	}
+	var names = [];
+	for (var i = 0; i < this.position && i < this.events.length; ++i) {
+		if (this.events[i].type == "names")
+			names[this.events[i].index] = this.events[i].data;
+	}
+	for (var i = 0; i < names.length; ++i) {
+		if (names[i] != undefined)
+			this.sendText(names[i]);
+	}
+}
+
+NetDbgReplay.prototype.schedule = function(delay) {
+	clearTimeout(this.timer);
+	this.timer = setTimeout(this.step.bind(this), Math.max(0, delay));
+}
+
+// Sends all packets of the current tick and schedules the next tick. Ticks missing from the capture take
+// the same time as the ticks present, so gaps are replayed in real time. The deadline of the next tick is
+// kept independent of the jitter and of timer inaccuracy, so playback does not drift.
+NetDbgReplay.prototype.step = function() {
+	if (this.paused)
+		return;
+	var tick = this.sendTick();
+	if (tick == undefined) {
+		if (!this.loop) {
+			console.log("End of capture, use seek to replay it");
+			this.paused = true;
+			return;
+		}
+		this.seek(this.events[0].tick);
+		return;
+	}
+	var nextTick = this.synthetic == undefined && this.position < this.events.length ? this.events[this.position].tick : tick + 1;
+	this.nextTime += (nextTick - tick) * 1000 / (this.tickRate * this.speed);
+	var now = Date.now();
+	// Do not try to catch up after the process was suspended or the speed was lowered.
+	if (this.nextTime < now - 1000)
+		this.nextTime = now;
+	this.schedule(this.nextTime - now + Math.random() * this.jitter);
+}
+
+// Sends the packets of the next tick and returns the tick, or undefined at the end of the capture.
+NetDbgReplay.prototype.sendTick = function() {
+	var events;
+	if (this.synthetic != undefined) {
+		events = this.synthetic.generate(this.position++);
+	} else {
+		if (this.position >= this.events.length)
+			return undefined;
+		var tick = this.events[this.position].tick;
+		events = [];
+		while (this.position < this.events.length && this.events[this.position].tick == tick)
+			events.push(this.events[this.position++]);
+	}
+	for (var i = 0; i < events.length; ++i)
+		this.sendEvent(events[i]);
+	this.lastSentTick = events[0].tick + this.tickShift;
+	return events[0].tick;
+}
+
+NetDbgReplay.prototype.sendEvent = function(event) {
+	if (event.type == "names") {
+		this.sendText(event.data);
+	} else if (event.type == "marker") {
+		var marker = JSON.parse(event.data);
+		marker.tick += this.tickShift;
+		this.sendText(this.tickShift != 0 ? JSON.stringify(marker) : event.data);
+	} else if (this.loss > 0 && Math.random() < this.loss) {
+		++this.droppedFrames;
+	} else {
+		this.sendBinary(this.tickShift != 0 ? NetDbgReplay.shiftTicks(event.data, this.tickShift) : event.data);
+	}
+}
+
+// Returns a copy of a binary frame with the server tick, snapshot ticks and command ticks moved by shift.
+NetDbgReplay.shiftTicks = function(data, shift) {
+	data = NetDbgDecoder.toArrayBuffer(data).slice(0);
+	var header = NetDbgDecoder.decodeHeader(data);
+	var words = new Uint32Array(data, 0, data.byteLength >> 2);
+	words[0] += shift;
+	var snapshotOffset = (header.size >> 2) + header.timeLen * header.timeSampleFloats;
+	for (var i = 0; i < header.snapshotLen; ++i)
+		words[snapshotOffset + i] += shift;
+	// The ghost and error counts of version 1 frames are not in the header, the command ticks are found
+	// from the end of the frame instead.
+	var commandOffset = (data.byteLength >> 2) - 1 - header.commandLen - (header.hasRpcs ? header.rpcCount * 4 : 0);
+	for (var i = 0; i < header.commandLen; ++i)
+		words[commandOffset + i] += shift;
+	return data;
+}
+
+// Moves the replay to the first tick at or after the given capture tick. The stream continues at the
+// tick after the last one sent, the difference is added to all following ticks.
+NetDbgReplay.prototype.seek = function(tick) {
+	if (this.synthetic != undefined) {
+		console.log("Synthetic traffic can not seek");
+		return;
+	}
+	var position = 0;
+	while (position < this.events.length - 1 && this.events[position].tick < tick)
+		++position;
+	this.position = position;
+	if (this.lastSentTick != undefined)
+		this.tickShift = this.lastSentTick + 1 - this.events[position].tick;
+	this.sendCurrentNames();
+	console.log("Seek to tick " + this.events[position].tick + ", ticks are shifted by " + this.tickShift);
+	this.paused = false;
+	this.nextTime = Date.now();
+	this.schedule(0);
+}
+
+NetDbgReplay.prototype.status = function() {
+	var source = this.synthetic != undefined ? "synthetic traffic" : this.host + ", ticks " + this.events[0].tick + " to " + this.events[this.events.length-1].tick;
+	var tick = this.synthetic != undefined ? this.synthetic.firstTick + this.position : (this.position < this.events.length ? this.events[this.position].tick : "end");
+	console.log("Replaying " + source + " at " + this.tickRate + " ticks per second, speed " + this.speed +
+		(this.paused ? ", paused" : "") + (this.loop ? ", looping" : "") + ", next tick " + tick +
+		", dropped " + this.droppedFrames + " frames" + (this.socket != undefined ? ", viewer connected" : ", no viewer"));
+}
+
+NetDbgReplay.prototype.command = function(line) {
+	var args = line.trim().split(/\s+/);
+	switch (args[0]) {
+	case "pause":
+		this.paused = true;
+		break;
+	case "resume":
+		if (this.paused) {
+			this.paused = false;
+			this.nextTime = Date.now();
+			this.schedule(0);
+		}
+		break;
+	case "speed":
+		var speed = parseFloat(args[1]);
+		if (speed > 0)
+			this.speed = speed;
+		else
+			console.log("Speed must be a positive number");
+		break;
+	case "seek":
+		var tick = parseInt(args[1]);
+		if (isNaN(tick))
+			console.log("Usage: seek <tick>");
+		else
+			this.seek(tick);
+		break;
+	case "loop":
+		this.loop = args[1] != "off";
+		break;
+	case "status":
+	case "":
+		break;
+	case "quit":
+		this.stop();
+		return false;
+	default:
+		console.log("Commands: pause, resume, speed <factor>, seek <tick>, loop on|off, status, quit");
+		return true;
+	}
+	this.status();
+	return true;
+}
+
+// Generates an endless stream for a single connection, with a snapshot and a command every tick,
+// bandwidth spikes, prediction errors and occasional rpc traffic. Frames use the current protocol version
+// unless --protocol asks for an older one, to try the viewer with the frames of older games.
+function NetDbgSyntheticTraffic(options) {
+	this.version = options.protocol;
+	this.ghosts = ["Destroy"];
+	this.errors = [];
+	for (var i = 1; i < options.ghosts; ++i) {
+		this.ghosts.push("SyntheticGhost" + i);
+		this.errors.push("SyntheticGhost" + i + " - Translation");
+	}
+	this.rpcs = ["SyntheticChatRpc", "SyntheticSpawnRpc"];
+	this.spikeEvery = options.spikeEvery;
+	this.firstTick = 1000;
+}
+
+NetDbgSyntheticTraffic.prototype.namePacket = function() {
+	return JSON.stringify({index: 0, mtu: 1400, name: "Synthetic", ghosts: this.ghosts, errors: this.errors, rpcs: this.rpcs});
+}
+
+NetDbgSyntheticTraffic.prototype.generate = function(index) {
+	var tick = this.firstTick + index;
+	var events = [];
+	if (index == 0)
+		events.push({tick: tick, type: "names", index: 0, data: this.namePacket()});
+	var spike = this.spikeEvery > 0 && index % this.spikeEvery == this.spikeEvery - 1;
+	events.push({tick: tick, type: "frame", index: 0, data: this.encodeFrame(tick, index, spike)});
+	if (spike)
+		events.push({tick: tick, type: "marker", index: 0, data: JSON.stringify({type: "marker", index: 0, tick: tick, label: "Synthetic spike", category: "synthetic"})});
+	return events;
+}
+
+// Writes a frame with the same layout as GhostStatsCollectionSystem.BuildPacket. Rpc stats only exist
+// since version 3.
+NetDbgSyntheticTraffic.prototype.encodeFrame = function(tick, index, spike) {
+	var version = this.version;
+	var hasRpcs = version >= 3 && index % 30 == 0;
+	var header = {size: NetDbgDecoder.headerSize(version), timeLen: 1, timeSampleFloats: NetDbgDecoder.TimeSampleFloats,
+		snapshotLen: 1, commandLen: 1, hasRpcs: hasRpcs, rpcCount: version >= 3 ? this.rpcs.length : 0};
+	var data = new ArrayBuffer(NetDbgDecoder.frameSize(header, this.ghosts.length, this.errors.length));
+	var bytes = new Uint8Array(data);
+	var words = new Uint32Array(data);
+	var floats = new Float32Array(data);
+	words[0] = tick;
+	bytes[4] = 0;
+	bytes[5] = header.timeLen;
+	bytes[6] = header.snapshotLen;
+	bytes[7] = header.commandLen;
+	bytes[8] = hasRpcs ? 1 : 0;
+	bytes[9] = 0;
+	// Version 1 has zeros in the version and time sample bytes and no counts.
+	bytes[10] = version >= 2 ? version : 0;
+	bytes[11] = version >= 2 ? header.timeSampleFloats : 0;
+	if (version >= 2) {
+		var counts = new Uint16Array(data, 12, (header.size - 12) >> 1);
+		counts[0] = this.ghosts.length;
+		counts[1] = this.errors.length;
+		if (version >= 3)
+			counts[2] = this.rpcs.length;
+	}
+	var offset = header.size >> 2;
+
+	var wave = Math.sin(index / 120);
+	var rtt = 50 + 10 * wave + Math.random() * 5;
+	var time = [0, 1 + 0.01 * wave, 2 + 0.5 * Math.random(), 1, 1.5 + Math.random(), rtt, 2 + Math.random() * 3, 1, 2];
+	for (var i = 0; i < time.length; ++i)
+		floats[offset++] = time[i];
+	words[offset++] = tick - 1 - Math.floor(Math.random() * 2);
+	for (var i = 0; i < this.ghosts.length; ++i) {
+		var count = i == 0 ? (Math.random() < 0.05 ? 1 : 0) : Math.floor((spike ? 40 : 4) * i * Math.random());
+		// A few instances are sent uncompressed, which costs more bits than a delta compressed one.
+		var uncompressed = Math.floor(count * Math.random() * 0.2);
+		words[offset++] = count;
+		words[offset++] = count * (60 + 8 * i) + uncompressed * (200 + 16 * i);
+		words[offset++] = uncompressed;
+	}
+	for (var i = 0; i < this.errors.length; ++i)
+		floats[offset++] = Math.random() < 0.02 ? Math.random() * 0.5 : 0;
+	words[offset++] = tick + 2;
+	words[offset++] = 40 + Math.floor(Math.random() * 20);
+	for (var i = 0; hasRpcs && i < this.rpcs.length; ++i) {
+		var sent = i == 0 ? 1 : 0;
+		words[offset++] = sent;
+		words[offset++] = sent * 24;
+		words[offset++] = 1 - sent;
+		words[offset++] = (1 - sent) * 32;
+	}
+	return data;
+}
+
+NetDbgReplay.parseArguments = function(argv) {
+	var options = {port: 8787, speed: 1, tickRate: 60, loop: false, loss: 0, jitter: 0, synthetic: false, ghosts: 8, spikeEvery: 300, protocol: NetDbgDecoder.ProtocolVersion};
+	var numbers = {"--port": "port", "--speed": "speed", "--tick-rate": "tickRate", "--loss": "loss", "--jitter": "jitter", "--ghosts": "ghosts", "--spike-every": "spikeEvery", "--protocol": "protocol"};
+	for (var i = 0; i < argv.length; ++i) {
+		var arg = argv[i];
+		if (numbers[arg] != undefined) {
+			var value = parseFloat(argv[++i]);
+			if (isNaN(value) || value < 0)
+				throw new Error(arg + " expects a positive number");
+			options[numbers[arg]] = value;
+		} else if (arg == "--loop") {
+			options.loop = true;
+		} else if (arg == "--synthetic") {
+			options.synthetic = true;
+		} else if (arg == "--host") {
+			options.host = argv[++i];
+		} else if (arg.startsWith("--")) {
+			throw new Error("unknown option " + arg);
+		} else {
+			options.file = arg;
+		}
+	}
+	if (options.file == undefined && !options.synthetic)
+		throw new Error("expected a capture file or --synthetic");
+	if (!(options.speed > 0) || !(options.tickRate > 0))
+		throw new Error("--speed and --tick-rate must be larger than zero");
+	if (!(options.protocol >= NetDbgDecoder.MinProtocolVersion && options.protocol <= NetDbgDecoder.ProtocolVersion) || options.protocol % 1 != 0)
+		throw new Error("--protocol must be a version from " + NetDbgDecoder.MinProtocolVersion + " to " + NetDbgDecoder.ProtocolVersion);
+	return options;
+}
+
+if (require.main === module) {
+	var replay;
+	try {
+		var options = NetDbgReplay.parseArguments(process.argv.slice(2));
+		replay = new NetDbgReplay(options);
+		if (!options.synthetic)
+			replay.loadCapture(JSON.parse(fs.readFileSync(options.file, "utf8")), options.host);
+	} catch (e) {
+		console.error("netdbg-replay: " + e.message);
+		console.error("Usage: node netdbg-replay.js <capture.json>|--synthetic [--port 8787] [--speed 1] [--tick-rate 60] [--loop] [--host name] [--loss 0] [--jitter 0] [--ghosts 8] [--spike-every 300] [--protocol 3]");
+		process.exit(1);
+	}
+	replay.start();
+	var input = readline.createInterface({input: process.stdin});
+	input.on("line", function(line) {
+		if (!replay.command(line))
+			input.close();
+	});
+}
+
+module.exports = NetDbgReplay;
@@ -6,10 +6,21 @@ function initNetDbg() {
 
 function NetDbg() {
 	this.selection = -1;
+	// Other end of a range selected with shift-drag, -1 when a single frame is selected.
+	this.selectionEnd = -1;
 	this.offsetX = -1;
+	// Width of a network frame in pixels, less than one when zoomed out far enough that several
+	// frames share a pixel column.
+	this.frameWidth = this.SnapshotWidth;
+	this.restoreSettings();
+	this.updateRetention();
+	this.tooltip = document.getElementById("canvasTooltip");
+	this.hoverContent = undefined;
 	this.dragEvt = this.updateDrag.bind(this);
 	this.dragStopEvt = this.stopDrag.bind(this);
-	this.autoReconnect = true;
+	// Lower case text of the search box, only ghost types and errors containing it are listed.
+	this.nameFilter = "";
+	document.addEventListener("keydown", this.onKeyDown.bind(this));
 
 	document.getElementById("liveUpdate").checked = true;
 
@@ -36,20 +47,33 @@ function NetDbg() {
 	loader.responseType = "json";
 	loader.send();*/
 
+	// All connection panels of all endpoints, each endpoint also keeps its own list indexed by the
+	// connection index sent by the game.
 	this.content = [];
-	//this.connect("localhost:8787");
+	this.endpoints = [];
+	this.restoreEndpoints();
 
 	this.pendingPresent = 0;
 	this.pendingStats = 0;
+	this.createLaneSettings();
+	// Earlier runs of the endpoints, see archiveSession.
+	this.sessions = [];
+	this.sessionEndpoint = undefined;
+	this.lastSessionId = 0;
+	this.loadStoredSessions();
+	this.applyLink(location.hash);
+	window.addEventListener("hashchange", function() { this.applyLink(location.hash); this.tryFastConnect(); }.bind(this));
 	this.invalidate();
 
-	// Auto-connect to the game on focus.
+	// Auto-connect to the games on focus.
 	document.onvisibilitychange = this.tryFastConnect.bind(this);
 	window.onfocus = this.tryFastConnect.bind(this);
 	this.tryFastConnect();
 }
 
 NetDbg.prototype.SnapshotWidth = 10;
+NetDbg.prototype.MinSnapshotWidth = 1 / 1024;
+NetDbg.prototype.MaxSnapshotWidth = 40;
 NetDbg.prototype.SnapshotMargin = 2;
 NetDbg.prototype.Colors = ['#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231',
     '#911eb4', '#46f0f0', '#f032e6', '#bcf60c', '#fabebe',
@@ -57,15 +81,16 @@ NetDbg.prototype.Colors = ['#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231'
     '#aaffc3', '#808000', '#ffd8b1', '#000075', '#808080'];
 
 
-NetDbg.prototype.updateNames = function(nameList) {
-	var connection = JSON.parse(nameList);
-	var con = connection.index;
-	if (this.content[con] == undefined) {
-		var container = document.getElementById("connectionContainer");
-		this.content[con] = {};
-		this.content[con].container = document.createElement("div");
+NetDbg.prototype.updateNames = function(endpoint, con, connection, nameList) {
+	var content = endpoint.connections[con];
+	if (content == undefined) {
+		var container = endpoint.group;
+		content = {endpoint: endpoint, index: con};
+		endpoint.connections[con] = content;
+		this.content.push(content);
+		content.container = document.createElement("div");
 		if (con != 0)
-			this.content[con].container.style.display = "none";
+			content.container.style.display = "none";
 		var title = document.createElement("div");
 		title.className = "ConnectionTitle";
 		title.appendChild(document.createTextNode(connection.name));
@@ -77,36 +102,86 @@ NetDbg.prototype.updateNames = function(nameList) {
 				this.nextElementSibling.style.display = "none";
 			});
 		container.appendChild(title);
-		this.content[con].hasTimeData = false;
-		this.content[con].maxPackets = 1;
-		this.content[con].legend = document.createElement("div");
-		this.content[con].legend.className = "LegendOverlay";
-		this.content[con].container.appendChild(this.content[con].legend);
-		this.content[con].canvas = document.createElement("canvas");
-		this.content[con].ctx = this.content[con].canvas.getContext("2d");
-		this.content[con].canvas.addEventListener("mousedown", this.startDrag.bind(this));
-		this.content[con].container.appendChild(this.content[con].canvas);
-		this.content[con].details = document.createElement("div");
-		this.content[con].container.appendChild(this.content[con].details);
-		container.appendChild(this.content[con].container);
-		this.content[con].frames = [];
-		this.content[con].names = [];
-		this.content[con].errors = [];
-		this.content[con].enabledErrors = [];
-		this.content[con].totalError = [];
-		this.content[con].totalErrorCount = [];
-		this.content[con].total = [];
-	}
-	var legend = this.content[con].legend;
-	for (var i = this.content[con].errors.length; i < connection.errors.length; ++i) {
-		this.content[con].enabledErrors[i] = false;
-		this.content[con].totalError[i] = 0;
-		this.content[con].totalErrorCount[i] = 0;
-	}
-
-	for (var i = this.content[con].names.length; i < connection.ghosts.length; ++i) {
-		this.content[con].total[i*2] = 0;
-		this.content[con].total[i*2 + 1] = 0;
+		content.title = title;
+		content.hasTimeData = false;
+		content.timeRange = {};
+		content.maxPackets = 1;
+		content.maxSnapshotSize = 0;
+		content.snapshotSizes = {};
+		content.legend = document.createElement("div");
+		content.legend.className = "LegendOverlay";
+		content.container.appendChild(content.legend);
+		content.canvas = document.createElement("canvas");
+		content.ctx = content.canvas.getContext("2d");
+		content.canvas.addEventListener("mousedown", this.startDrag.bind(this));
+		content.canvas.addEventListener("wheel", this.onWheel.bind(this), {passive: false});
+		content.canvas.addEventListener("mousemove", this.hover.bind(this, content));
+		content.canvas.addEventListener("mouseleave", this.hideTooltip.bind(this));
+		content.container.appendChild(content.canvas);
+		this.createBudgetPanel(content);
+		this.restoreBudget(content, connection.name);
+		this.createErrorPanel(content);
+		this.createLossPanel(content);
+		this.createPacketPanel(content);
+		this.createCompressionPanel(content);
+		content.details = document.createElement("div");
+		content.container.appendChild(content.details);
+		container.appendChild(content.container);
+		content.frames = [];
+		content.frameBase = 0;
+		content.archiveSize = this.BucketBaseSize;
+		content.names = [];
+		content.errors = [];
+		content.enabledErrors = [];
+		content.totalError = [];
+		content.totalErrorCount = [];
+		content.maxError = [];
+		content.maxErrorFrame = [];
+		content.pinnedErrors = {};
+		content.total = [];
+		content.legendItems = [];
+		content.hiddenGhosts = [];
+		content.filteredMaxPackets = 1;
+		content.bucketCache = {};
+		content.bucketCache[this.BucketBaseSize] = [];
+		content.violations = [];
+		content.violationTicks = 0;
+		content.markers = [];
+		content.rpcs = [];
+		content.rpcTotal = [];
+		content.rpcLegendItems = [];
+		content.rpcLegend = null;
+		content.maxRpcBytes = 0;
+		content.gaps = [];
+		content.missingTicks = 0;
+		content.discardedTotal = 0;
+		content.snapshotPackets = 0;
+		content.snapshotDeltas = {};
+		content.lastSnapshotTick = undefined;
+		content.maxTickOffset = 0;
+		content.hasTickData = false;
+		content.sentCommandTicks = {};
+		content.sentCommandQueue = [];
+		content.sentCommandHead = 0;
+		content.compressionTotal = [];
+		content.ghostFirstTick = [];
+		content.maxBitsPerInstance = 0;
+		content.capture = {name: connection.name, names: [], frames: [], markers: []};
+	}
+	var legend = content.legend;
+	var saved = this.savedConnectionSettings(connection.name);
+	var addedGhosts = content.names.length < connection.ghosts.length;
+	for (var i = content.errors.length; i < connection.errors.length; ++i) {
+		content.enabledErrors[i] = false;
+		content.totalError[i] = 0;
+		content.totalErrorCount[i] = 0;
+		content.maxError[i] = 0;
+		content.maxErrorFrame[i] = -1;
+	}
+
+	for (var i = content.names.length; i < connection.ghosts.length; ++i) {
+		content.total[i*2] = 0;
+		content.total[i*2 + 1] = 0;
 		var line = document.createElement("div");
 		line.style.color = "white";
 		line.style.padding = "2px";
@@ -114,11 +189,55 @@ NetDbg.prototype.updateNames = function(nameList) {
 		line.style.borderWidth = "1px";
 		line.style.borderColor = this.Colors[i%this.Colors.length];
 		line.style.borderStyle = "solid";
+		line.style.cursor = "pointer";
+		line.title = "Click to hide or show, shift-click to show only this ghost type";
 		line.appendChild(document.createTextNode(connection.ghosts[i]));
-		legend.appendChild(line);
+		line.addEventListener("click", this.toggleGhost.bind(this, content, i));
+		line.style.display = this.matchesNameFilter(connection.ghosts[i]) ? "" : "none";
+		legend.insertBefore(line, content.rpcLegend);
+		content.legendItems[i] = line;
+		content.hiddenGhosts[i] = saved != undefined && saved.hidden.indexOf(connection.ghosts[i]) >= 0;
+		this.addGhostBudget(content, i, connection.ghosts[i], saved != undefined ? saved.budget.ghosts[connection.ghosts[i]] : undefined);
+	}
+	content.names = connection.ghosts;
+	content.errors = connection.errors;
+	content.mtu = connection.mtu;
+	this.updateRpcNames(content, connection.rpcs);
+	if (saved != undefined && addedGhosts) {
+		this.updateBudget(content);
+		this.updateGhostFilter(content);
+	}
+	var capture = content.capture;
+	capture.names.push({at: capture.frames.length, packet: nameList});
+}
+
+// Rpc types are listed below the ghost types in the legend. They cannot be hidden, the rpc lane is
+// scaled independently of the snapshots.
+NetDbg.prototype.updateRpcNames = function(content, rpcs) {
+	if (rpcs.length > 0 && content.rpcLegend == null) {
+		content.rpcLegend = document.createElement("div");
+		var title = document.createElement("div");
+		title.style.fontWeight = "bold";
+		title.style.color = "white";
+		title.style.padding = "2px";
+		title.appendChild(document.createTextNode("RPCs"));
+		content.rpcLegend.appendChild(title);
+		content.legend.appendChild(content.rpcLegend);
 	}
-	this.content[con].names = connection.ghosts;
-	this.content[con].errors = connection.errors;
+	for (var i = content.rpcs.length; i < rpcs.length; ++i) {
+		content.rpcTotal[i] = {sent: 0, sentBytes: 0, received: 0, receivedBytes: 0};
+		var line = document.createElement("div");
+		line.style.color = "white";
+		line.style.padding = "2px";
+		line.style.margin = "2px";
+		line.style.borderWidth = "1px";
+		line.style.borderColor = this.Colors[i%this.Colors.length];
+		line.style.borderStyle = "dashed";
+		line.appendChild(document.createTextNode(rpcs[i]));
+		content.rpcLegend.appendChild(line);
+		content.rpcLegendItems[i] = line;
+	}
+	content.rpcs = rpcs;
 }
 
 NetDbg.prototype.invalidateLegendStats = function() {
@@ -129,390 +248,2837 @@ NetDbg.prototype.invalidateLegendStats = function() {
 
 NetDbg.prototype.updateLegendStats = function() {
 	this.pendingStats = 0;
+	this.applyLinkSelection();
+	var sortLegend = document.getElementById("sortLegend").checked;
 	for (var con = 0; con < this.content.length; ++con) {
 		if (this.content[con] == undefined)
 			continue;
-		var legend = this.content[con].legend;
-		var items = legend.children;
-		for (var i = 0; i < this.content[con].names.length; ++i) {
-			if (this.content[con].total[i*2] > 0) {
-				var avgFrame = Math.round(this.content[con].total[i*2] / this.content[con].frames.length);
-				var avgEnt = Math.round(this.content[con].total[i*2] / this.content[con].total[i*2 + 1]);
-				items[i].firstChild.nodeValue = this.content[con].names[i] + ": " + avgFrame + " bits/frame, " + avgEnt + " bits/entity";
-			}
+		var items = this.content[con].legendItems;
+		var ghosts = this.ghostSummary(this.content[con], null);
+		for (var i = 0; i < ghosts.length; ++i) {
+			if (ghosts[i].totalBits > 0)
+				items[i].firstChild.nodeValue = ghosts[i].name + ": " + ghosts[i].bitsPerFrame + " bits/frame, " + ghosts[i].bitsPerEntity + " bits/entity";
 		}
+		var rpcTotal = this.content[con].rpcTotal;
+		for (var i = 0; i < rpcTotal.length; ++i) {
+			if (rpcTotal[i].sent + rpcTotal[i].received > 0)
+				this.content[con].rpcLegendItems[i].firstChild.nodeValue = this.content[con].rpcs[i] + ": " + rpcTotal[i].sent + " sent (" + rpcTotal[i].sentBytes + " bytes), " +
+					rpcTotal[i].received + " received (" + rpcTotal[i].receivedBytes + " bytes)";
+		}
+		this.sortLegend(this.content[con], sortLegend);
+		this.updateBudgetSummary(this.content[con]);
+		this.updateErrorTable(this.content[con]);
+		this.updateLossReport(this.content[con]);
+		this.updatePacketReport(this.content[con]);
+		this.updateCompressionTable(this.content[con]);
 	}
 }
 
-NetDbg.prototype.tryFastConnect = function() {
-	var isConnected = this.ws !== undefined && this.ws.readyState <= 1;
-	if(document.visibilityState === "visible" && this.autoReconnect === true && !isConnected) {
-		var connectDlgValue = document.getElementById('connectUIButtonValue').value;
-		this.connect(connectDlgValue);
+// Orders the legend entries by average bits per frame, or by ghost type index when sorting is disabled.
+NetDbg.prototype.sortLegend = function(content, byBitsPerFrame) {
+	var order = [];
+	for (var i = 0; i < content.legendItems.length; ++i)
+		order.push(i);
+	if (byBitsPerFrame) {
+		order.sort(function(a, b) {
+			return content.total[b*2] - content.total[a*2] || a - b;
+		});
+	}
+	var legend = content.legend;
+	for (var i = 0; i < order.length; ++i) {
+		if (legend.children[i] !== content.legendItems[order[i]])
+			legend.insertBefore(content.legendItems[order[i]], legend.children[i]);
 	}
 }
 
-NetDbg.prototype.connect = function(host) {
-
-	console.log(`'${this.constructor.name}' connecting to websocket ${host}...`);
+// Hides or shows a ghost type in the chart and details of a connection. With shift held the ghost type
+// is soloed instead, soloing the only visible ghost type again shows all of them.
+NetDbg.prototype.toggleGhost = function(content, index, evt) {
+	if (evt.shiftKey) {
+		var isSolo = !content.hiddenGhosts[index];
+		for (var i = 0; i < content.hiddenGhosts.length; ++i) {
+			if (i != index && !content.hiddenGhosts[i])
+				isSolo = false;
+		}
+		for (var i = 0; i < content.hiddenGhosts.length; ++i)
+			content.hiddenGhosts[i] = isSolo ? false : i != index;
+	} else
+		content.hiddenGhosts[index] = !content.hiddenGhosts[index];
+	this.updateGhostFilter(content);
+}
 
-	document.getElementById('connectDlg').className = "NetDbgConnecting";
+NetDbg.prototype.updateGhostFilter = function(content) {
+	for (var i = 0; i < content.legendItems.length; ++i) {
+		content.legendItems[i].style.opacity = content.hiddenGhosts[i] ? "0.4" : "1";
+		content.legendItems[i].style.textDecoration = content.hiddenGhosts[i] ? "line-through" : "none";
+	}
+	content.filteredMaxPackets = this.computeFilteredMaxPackets(content);
+	this.saveConnectionSettings(content);
+	this.updateDetails();
+	this.invalidate();
+}
 
-	// Connect to unity
-	this.ws = new WebSocket("ws://" + host);
-	this.ws.binaryType = "arraybuffer";
-	this.ws.addEventListener("message", this.wsReceive.bind(this));
-	this.ws.addEventListener("open", this.wsOpen.bind(this));
-	this.ws.addEventListener("close", this.wsClose.bind(this));
-	//this.ws.addEventListener("error", this.wsClose.bind(this));
+NetDbg.prototype.isGhostFilterActive = function(content) {
+	return content.hiddenGhosts.indexOf(true) >= 0;
 }
-NetDbg.prototype.disconnect = function() {
-	this.ws.close();
-	this.autoReconnect = false;
-	document.getElementById('connectDlg').className = "NetDbgDisconnected";
-	console.log(`'${this.constructor.name}' disconnected from '${this.ws.url}']!`)
+
+// Size in bits of the ghost types which are not hidden in a frame.
+NetDbg.prototype.visibleSnapshotSize = function(content, frame) {
+	var size = 0;
+	for (var t = 0; t < frame.snapshot.length; ++t) {
+		if (!content.hiddenGhosts[t])
+			size += frame.snapshot[t].size;
+	}
+	return size;
 }
 
-NetDbg.prototype.wsOpen = function(evt) {
-	this.autoReconnect = true;
-	document.getElementById('connectDlg').className = "NetDbgConnected";
-	console.log(`'${this.constructor.name}' successfully connected to '${this.ws.url}', resetting data!`)
+// Size in bits of all ghost types in a frame, which is what was sent regardless of the legend filter.
+NetDbg.prototype.snapshotSize = function(frame) {
+	var size = 0;
+	for (var t = 0; t < frame.snapshot.length; ++t)
+		size += frame.snapshot[t].size;
+	return size;
+}
 
-	// Clear the existing data as we now have new data (i.e. a new run) to show.
-	this.content = [];
-	var container = document.getElementById("connectionContainer");
-	while (container.firstChild)
-		container.removeChild(container.firstChild);
-	this.selection = -1;
-	this.offsetX = -1;
-	document.getElementById("liveUpdate").checked = true;
+// The largest size of the visible ghost types in a bucket. When some types are hidden this is the sum
+// of their maximums, which can be larger than the largest frame in the bucket.
+NetDbg.prototype.visibleBucketMax = function(content, bucket) {
+	if (!this.isGhostFilterActive(content))
+		return bucket.totalMax;
+	var size = 0;
+	for (var t = 0; t < bucket.ghostMax.length; ++t) {
+		if (!content.hiddenGhosts[t])
+			size += bucket.ghostMax[t];
+	}
+	return Math.min(size, bucket.totalMax);
 }
 
-NetDbg.prototype.wsClose = function(evt) {
-	document.getElementById('connectDlg').className = "NetDbgDisconnected";
-	console.log(`'${this.constructor.name}' WebSocket '${this.ws.url}' closed with [${evt.code}:'${evt.reason}']!`)
+// Number of packets needed by the largest snapshot of the visible ghost types, used to scale the chart.
+NetDbg.prototype.computeFilteredMaxPackets = function(content) {
+	if (!this.isGhostFilterActive(content))
+		return content.maxPackets;
+	var maxSize = 0;
+	for (var i = 0; i < content.frames.length; ++i)
+		maxSize = Math.max(maxSize, this.visibleSnapshotSize(content, content.frames[i]));
+	for (var index = 0; index * content.archiveSize < content.frameBase; ++index)
+		maxSize = Math.max(maxSize, this.visibleBucketMax(content, this.getBucket(content, content.archiveSize, index)));
+	return Math.max(this.packetCount(content, maxSize), 1);
 }
 
-NetDbg.prototype.wsReceive = function(evt) {
+NetDbg.prototype.DefaultMtu = 1400;
 
-	if (typeof(evt.data) == "string") {
-		this.updateNames(evt.data);
-	} else {
-		var tick = new Uint32Array(evt.data);
-		var header = new Uint8Array(evt.data, 4);
-		var con = header[0];
-		var timeLen = header[1];
-		var snapshotLen = header[2];
-		var commandLen = header[3];
-		var discardedPackets = header[5];
+// Payload of a packet in bytes, the MTU from the control panel or the one sent by the game minus the
+// header overhead of each packet.
+NetDbg.prototype.packetBytes = function(content) {
+	var mtu = parseInt(document.getElementById("packetMtu").value);
+	if (!(mtu > 0))
+		mtu = content.mtu != undefined ? content.mtu : this.DefaultMtu;
+	var overhead = parseInt(document.getElementById("packetOverhead").value);
+	return Math.max(mtu - (overhead > 0 ? overhead : 0), 1);
+}
 
-		var content = this.content[con];
-		if(content === undefined) return;
-
-		var dataOffset = 12;
-
-		var time = [];
-		var timeArr = new Float32Array(evt.data, dataOffset);
-		for (var i = 0; i < timeLen; ++i) {
-			time.push({
-				fraction: timeArr[i*9],
-				scale: timeArr[i*9 + 1],
-				interpolation: timeArr[i*9 + 2],
-				interpolationScale: timeArr[i*9 + 3],
-				commandAge: timeArr[i*9 + 4],
-				rtt: timeArr[i*9 + 5],
-				jitter: timeArr[i*9 + 6],
-				snapshotAgeMin: timeArr[i*9 + 7],
-				snapshotAgeMax: timeArr[i*9 + 8]
-			});
-		}
+// Estimated number of packets for a snapshot of the given size in bits.
+NetDbg.prototype.packetCount = function(content, size) {
+	return Math.ceil(Math.ceil(size / 8) / this.packetBytes(content));
+}
 
-		dataOffset += timeLen * 36;
+// Packets of a snapshot, with the bytes which spill into the last packet when it is fragmented.
+NetDbg.prototype.packetText = function(content, size) {
+	var packets = this.packetCount(content, size);
+	var text = packets + (packets == 1 ? " packet" : " packets");
+	if (packets > 1)
+		text += " (" + (Math.ceil(size / 8) - (packets - 1) * this.packetBytes(content)) + " bytes in the last)";
+	return text;
+}
 
-		var snapTickArr = new Uint32Array(evt.data, dataOffset);
-		var snapshotTicks = [];
-		for (var i = 0; i < snapshotLen; ++i) {
-			snapshotTicks.push(snapTickArr[i]);
-		}
+// Called when the MTU or the header overhead changes, everything derived from the packet size is recomputed.
+NetDbg.prototype.updatePacketSize = function() {
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		if (content == undefined)
+			continue;
+		content.maxPackets = Math.max(this.packetCount(content, content.maxSnapshotSize), 1);
+		content.filteredMaxPackets = this.computeFilteredMaxPackets(content);
+		this.updatePacketReport(content);
+	}
+	this.updateDetails();
+	this.invalidate();
+}
 
-		dataOffset += snapshotLen * 4;
+// Creates the budget controls below the chart of a connection. The budget applies to the snapshot size
+// of each tick, a budget per second is divided by the tick rate. Ghost types can have their own budget
+// in bytes per tick, a budget of 0 means no budget.
+NetDbg.prototype.createBudgetPanel = function(content) {
+	var panel = document.createElement("div");
+	panel.className = "BudgetPanel";
+	var update = this.updateBudget.bind(this, content);
 
-		var snapArr = new Uint32Array(evt.data, dataOffset);
-		var snap = [];
-		var totalSize = 0;
+	panel.appendChild(document.createTextNode("Budget "));
+	content.budgetValue = document.createElement("input");
+	content.budgetValue.type = "number";
+	content.budgetValue.min = "0";
+	content.budgetValue.value = "0";
+	content.budgetValue.style.width = "6em";
+	content.budgetValue.addEventListener("change", update);
+	panel.appendChild(content.budgetValue);
 
-		for (var i = 0; i < content.names.length; ++i) {
-			snap.push({count: snapArr[i*3], size: snapArr[i*3+1], uncompressed: snapArr[i*3+2]});
-			content.total[i*2] += snapArr[i*3+1];
-			content.total[i*2 + 1] += snapArr[i*3];
-			totalSize += snapArr[i*3+1];
-		}
+	content.budgetUnit = document.createElement("select");
+	content.budgetUnit.appendChild(new Option("bytes/tick", "tick"));
+	content.budgetUnit.appendChild(new Option("bytes/second", "second"));
+	content.budgetUnit.addEventListener("change", update);
+	panel.appendChild(content.budgetUnit);
 
-		dataOffset += content.names.length * 3 * 4;
+	panel.appendChild(document.createTextNode(" at "));
+	content.budgetTickRate = document.createElement("input");
+	content.budgetTickRate.type = "number";
+	content.budgetTickRate.min = "1";
+	content.budgetTickRate.value = "60";
+	content.budgetTickRate.style.width = "4em";
+	content.budgetTickRate.addEventListener("change", update);
+	panel.appendChild(content.budgetTickRate);
+	panel.appendChild(document.createTextNode(" ticks/second "));
 
-		var predictionArr = new Float32Array(evt.data, dataOffset);
-		var predictionErr = [];
-		for (var i = 0; i < content.errors.length; ++i)
-		{
-			if (predictionArr[i] > 0) {
-				content.enabledErrors[i] = true;
-				content.totalErrorCount[i] += 1;
-				content.totalError[i] += predictionArr[i];
-			}
-			predictionErr.push(predictionArr[i]);
-		}
-		dataOffset += content.errors.length * 4;
+	var prev = document.createElement("input");
+	prev.type = "button";
+	prev.value = "Previous violation";
+	prev.addEventListener("click", this.selectViolation.bind(this, content, -1));
+	panel.appendChild(prev);
+	var next = document.createElement("input");
+	next.type = "button";
+	next.value = "Next violation";
+	next.addEventListener("click", this.selectViolation.bind(this, content, 1));
+	panel.appendChild(next);
 
-		var cmdTickArr = new Uint32Array(evt.data, dataOffset);
-		var commandTicks = [];
-		for (var i = 0; i < commandLen; ++i) {
-			commandTicks.push(cmdTickArr[i]);
-		}
+	content.budgetSummary = document.createElement("span");
+	content.budgetSummary.className = "BudgetSummary";
+	panel.appendChild(content.budgetSummary);
 
-		var commandSize = cmdTickArr[commandLen];
+	var ghostBudgets = document.createElement("details");
+	var title = document.createElement("summary");
+	title.appendChild(document.createTextNode("Ghost type budgets (bytes/tick)"));
+	ghostBudgets.appendChild(title);
+	panel.appendChild(ghostBudgets);
+	content.ghostBudgetPanel = ghostBudgets;
+	content.ghostBudgetValues = [];
+	content.container.appendChild(panel);
 
-		dataOffset += commandLen * 4 + 4;
+	content.budget = {total: 0, ghosts: []};
+}
 
-		var snapshotAge = 0;
-		if (snapshotLen > 0) {
-			snapshotAge = tick[0] - snapTickArr[snapshotLen-1];
-		} else if (content.frames.length > 0) {
-			snapshotAge = content.frames[content.frames.length-1].snapshotAge + 1;
-		}
-		var maxPackets = Math.ceil(totalSize / (1400*8));
-		if (maxPackets > content.maxPackets)
-			content.maxPackets = maxPackets;
-		if (timeLen > 0)
-			content.hasTimeData = true;
-		if (content.frames.length > 0) {
-			var lastFrame = content.frames[content.frames.length-1];
-			if (lastFrame.serverTick+1 < tick[0]) {
-				var age = lastFrame.snapshotAge;
-				var emptySnap = [];
-				for (var i = 0; i < content.names.length; ++i) {
-					emptySnap.push({count: 0, size: 0, uncompressed: 0});
-				}
-				for (var missing = lastFrame.serverTick + 1; missing < tick[0]; ++missing) {
-					++age;
-					content.frames.push({serverTick: missing, snapshotAge: age, snapshot: emptySnap, snapshotTicks: [], predictionError: [], time: [], commandTicks: [], commandSize: 0});
-				}
-			}
-		}
-		content.frames.push({serverTick: tick[0], snapshotAge: snapshotAge, snapshot: snap, snapshotTicks: snapshotTicks, predictionError: predictionErr, time: time, commandTicks: commandTicks, commandSize: commandSize, discardedPackets: discardedPackets});
-		this.invalidate();
-		this.invalidateLegendStats();
-	}
+NetDbg.prototype.addGhostBudget = function(content, index, name, saved) {
+	var label = document.createElement("label");
+	label.className = "GhostBudget";
+	label.appendChild(document.createTextNode(name + " "));
+	var value = document.createElement("input");
+	value.type = "number";
+	value.min = "0";
+	value.value = saved != undefined ? "" + saved : "0";
+	value.style.width = "5em";
+	value.addEventListener("change", this.updateBudget.bind(this, content));
+	label.appendChild(value);
+	content.ghostBudgetPanel.appendChild(label);
+	content.ghostBudgetValues[index] = value;
+	content.budget.ghosts[index] = 0;
 }
 
-NetDbg.prototype.loadContent = function(content) {
-	this.content = content;
+// Reads the budget controls of a connection into content.budget, in bits per tick.
+NetDbg.prototype.updateBudget = function(content) {
+	var total = Math.max(parseFloat(content.budgetValue.value) || 0, 0) * 8;
+	if (content.budgetUnit.value == "second")
+		total /= Math.max(parseFloat(content.budgetTickRate.value) || 0, 1);
+	var ghosts = [];
+	for (var i = 0; i < content.ghostBudgetValues.length; ++i)
+		ghosts.push(Math.max(parseFloat(content.ghostBudgetValues[i].value) || 0, 0) * 8);
+	content.budget = {total: total, ghosts: ghosts};
+	this.saveConnectionSettings(content);
+	this.updateViolations(content);
+	this.updateBudgetSummary(content);
 	this.invalidate();
 }
 
-NetDbg.prototype.startDrag = function(evt) {
-	this.grabX = evt.clientX;
-	this.dragStarted = false;
-	document.addEventListener("mousemove", this.dragEvt);
-	document.addEventListener("mouseup", this.dragStopEvt);
-}
-NetDbg.prototype.stopDrag = function(evt) {
-	document.removeEventListener("mousemove", this.dragEvt);
-	document.removeEventListener("mouseup", this.dragStopEvt);
-	if (!this.dragStarted)
-		this.select(evt);
+NetDbg.prototype.hasBudget = function(content) {
+	return content.budget.total > 0 || content.budget.ghosts.some(function(b) { return b > 0; });
 }
-NetDbg.prototype.updateDrag = function(evt) {
-	if (!this.dragStarted && Math.abs(this.grabX - evt.clientX) > 3) {
-		this.dragStarted = true;
-		this.offsetX = this.currentOffset();
-		document.getElementById("liveUpdate").checked = false;
+
+NetDbg.prototype.frameExceedsBudget = function(content, frame) {
+	var budget = content.budget;
+	var total = 0;
+	for (var t = 0; t < frame.snapshot.length; ++t) {
+		if (budget.ghosts[t] > 0 && frame.snapshot[t].size > budget.ghosts[t])
+			return true;
+		total += frame.snapshot[t].size;
 	}
-	if (this.dragStarted) {
-		this.offsetX -= evt.clientX - this.grabX;
-		this.grabX = evt.clientX;
-		if (this.offsetX < 0)
-			this.offsetX = 0;
-		if (this.offsetX > this.maxOffset())
-			this.offsetX = this.maxOffset();
+	return budget.total > 0 && total > budget.total;
+}
+
+// A bucket exceeds the budget if any of its frames did. The maximums are per ghost type, so this is exact.
+NetDbg.prototype.bucketExceedsBudget = function(content, bucket) {
+	var budget = content.budget;
+	if (bucket.count == 0)
+		return false;
+	for (var t = 0; t < bucket.ghostMax.length; ++t) {
+		if (budget.ghosts[t] > 0 && bucket.ghostMax[t] > budget.ghosts[t])
+			return true;
 	}
-	this.invalidate();
+	return budget.total > 0 && bucket.totalMax > budget.total;
 }
 
-NetDbg.prototype.toggleLiveUpdate = function(enable) {
-	if (enable) {
-		this.offsetX = -1;
-		this.invalidate();
-	} else
-		this.offsetX = this.currentOffset();
+// Rebuilds the sorted list of frames over budget. Archived frames are only known per bucket, so every
+// archive bucket over budget is listed once by its first frame and is not counted in violationTicks.
+NetDbg.prototype.updateViolations = function(content) {
+	content.violations = [];
+	content.violationTicks = 0;
+	if (!this.hasBudget(content))
+		return;
+	for (var index = 0; index * content.archiveSize < content.frameBase; ++index) {
+		if (this.bucketExceedsBudget(content, this.getBucket(content, content.archiveSize, index)))
+			content.violations.push(index * content.archiveSize);
+	}
+	for (var i = 0; i < content.frames.length; ++i) {
+		if (this.frameExceedsBudget(content, content.frames[i])) {
+			content.violations.push(content.frameBase + i);
+			++content.violationTicks;
+		}
+	}
 }
 
-NetDbg.prototype.createName = function(name) {
-	var div = document.createElement("div");
-	div.style.display = "inline-block";
-	div.style.width = "0";
-	div.style.whiteSpace = "nowrap";
-	div.appendChild(document.createTextNode(name));
-	return div;
+NetDbg.prototype.updateBudgetSummary = function(content) {
+	var text = "";
+	if (this.hasBudget(content) && content.frames.length > 0) {
+		var percent = 100 * content.violationTicks / content.frames.length;
+		text = " " + content.violationTicks + " ticks (" + percent.toFixed(1) + "%) over budget";
+		if (content.frameBase > 0) {
+			text += " in the last " + content.frames.length + " ticks, " + (content.violations.length - content.violationTicks) + " downsampled ranges over budget before that";
+		}
+	}
+	content.budgetSummary.textContent = text;
 }
 
-NetDbg.prototype.createCount = function(count, uncompressed) {
-	var div = document.createElement("div");
-	div.style.display = "inline-block";
-	div.style.width = "0";
-	div.style.whiteSpace = "nowrap";
-	div.style.marginLeft = "200px";
-	div.appendChild(document.createTextNode("" + count + " (" + uncompressed + ")"));
-	return div;
+// Moves the selection to the next or previous frame over budget and scrolls it into view.
+NetDbg.prototype.selectViolation = function(content, direction) {
+	var violations = content.violations;
+	var target = -1;
+	if (direction > 0) {
+		for (var i = 0; i < violations.length && target < 0; ++i) {
+			if (violations[i] > this.selection)
+				target = violations[i];
+		}
+	} else {
+		for (var i = violations.length - 1; i >= 0 && target < 0; --i) {
+			if (violations[i] < this.selection || this.selection < 0)
+				target = violations[i];
+		}
+	}
+	if (target < 0)
+		return;
+	this.showFrame(content, target);
 }
-NetDbg.prototype.createSize = function(sizeBits, sizeBytes) {
-	var div = document.createElement("div");
-	div.style.display = "inline-block";
-	div.style.width = "0";
-	div.style.whiteSpace = "nowrap";
-	div.style.marginLeft = "400px";
-	div.appendChild(document.createTextNode("" + sizeBits + " (" + sizeBytes + ")"));
-	return div;
+
+// Prediction errors which get a lane below the chart. Once errors are pinned only those are shown.
+NetDbg.prototype.predictionErrorLanes = function(content, show) {
+	var pinned = [];
+	var enabled = [];
+	if (!show)
+		return enabled;
+	for (var i = 0; i < content.errors.length; ++i) {
+		if (content.pinnedErrors[content.errors[i]])
+			pinned.push(i);
+		else if (content.enabledErrors[i])
+			enabled.push(i);
+	}
+	return pinned.length > 0 ? pinned : enabled;
 }
-NetDbg.prototype.createInstSize = function(sizeBits, sizeBytes) {
-	var div = document.createElement("div");
-	div.style.display = "inline-block";
-	div.style.width = "0";
-	div.style.whiteSpace = "nowrap";
-	div.style.marginLeft = "200px";
-	div.appendChild(document.createTextNode("" + sizeBits + " (" + sizeBytes + ")"));
-	return div;
+
+// Rounds up to the next 1, 2 or 5 times a power of ten.
+NetDbg.prototype.niceScale = function(value) {
+	if (!(value > 0))
+		return 1;
+	var step = Math.pow(10, Math.floor(Math.log10(value)));
+	if (value <= step)
+		return step;
+	if (value <= 2 * step)
+		return 2 * step;
+	if (value <= 5 * step)
+		return 5 * step;
+	return 10 * step;
 }
-NetDbg.prototype.alternateColorHighlighting = function(element, index) {
-	element.style.backgroundColor = index % 2 === 0 ? "white" : "#efefef";
+
+NetDbg.prototype.formatValue = function(value) {
+	return value >= 1000 || (value > 0 && value < 0.001) ? value.toExponential(2) : "" + parseFloat(value.toPrecision(4));
 }
 
-NetDbg.prototype.select = function(evt) {
-	var offset = evt.clientX;
-	for (var p = evt.target; p; p = p.offsetParent) {
-		offset -= p.offsetLeft;
-	}
-	offset += this.currentOffset();
-	this.selection = Math.floor(offset / this.SnapshotWidth);
+NetDbg.prototype.ErrorColumns = [
+	{field: "name", title: "Prediction error"},
+	{field: "count", title: "Frames with error"},
+	{field: "avg", title: "Avg"},
+	{field: "max", title: "Max"},
+	{field: "maxFrame", title: "Max at frame"}
+];
 
-	for (var con = 0; con < this.content.length; ++con) {
-		var content = this.content[con];
-		if (content == undefined)
-			continue;
-		var descr = content.details;
-		while (descr.firstChild)
-			descr.removeChild(descr.firstChild);
-		if (this.selection >= 0 && this.selection < content.frames.length) {
-			var div = document.createElement("div");
-			descr.appendChild(div);
-			var tick = document.createElement("div");
-			descr.appendChild(tick);
-			var age = document.createElement("div");
-			descr.appendChild(age);
-			var snapshots = document.createElement("div");
-			descr.appendChild(snapshots);
-			var commands = document.createElement("div");
-			descr.appendChild(commands);
-			var discard = document.createElement("div");
-			descr.appendChild(discard);
-			var totalSize = 0;
+// Creates the collapsible table of the prediction errors of a connection. The table is only filled
+// while it is open since it is rebuilt with the legend stats.
+NetDbg.prototype.createErrorPanel = function(content) {
+	var panel = document.createElement("details");
+	panel.className = "ErrorPanel";
+	var title = document.createElement("summary");
+	title.appendChild(document.createTextNode("Prediction error analysis "));
+	panel.appendChild(title);
+	panel.addEventListener("toggle", this.updateErrorTable.bind(this, content));
 
-			descr.appendChild(document.createElement("hr"));
-			var headerDiv = document.createElement("div");
-			headerDiv.style.fontWeight = "bold";
-			var nameHead = this.createName("Ghost Type");
-			headerDiv.appendChild(nameHead);
+	content.errorScope = document.createElement("select");
+	content.errorScope.appendChild(new Option("Whole session", "session"));
+	content.errorScope.appendChild(new Option("Visible range", "visible"));
+	content.errorScope.addEventListener("change", this.updateErrorTable.bind(this, content));
+	panel.appendChild(content.errorScope);
 
-			var sizeHead = this.createSize("Total size bits", "bytes");
-			headerDiv.appendChild(sizeHead);
+	content.errorTable = document.createElement("table");
+	panel.appendChild(content.errorTable);
+	content.errorPanel = panel;
+	content.errorSort = {field: "max", descending: true};
+	content.container.appendChild(panel);
+}
 
-			var countHead = this.createCount("Instances", "Uncompressed");
-			headerDiv.appendChild(countHead);
+// Per error stats of the whole session, or of the full resolution frames in view.
+NetDbg.prototype.collectErrorStats = function(content, visibleOnly) {
+	var stats = [];
+	for (var i = 0; i < content.errors.length; ++i) {
+		if (!visibleOnly)
+			stats.push({index: i, name: content.errors[i], count: content.totalErrorCount[i], sum: content.totalError[i], max: content.maxError[i], maxFrame: content.maxErrorFrame[i]});
+		else
+			stats.push({index: i, name: content.errors[i], count: 0, sum: 0, max: 0, maxFrame: -1});
+	}
+	if (visibleOnly) {
+		var first = Math.max(Math.floor(this.currentOffset() / this.frameWidth), content.frameBase);
+		var end = Math.min(Math.ceil((this.currentOffset() + content.canvas.width) / this.frameWidth), this.frameCount(content));
+		for (var f = first; f < end; ++f) {
+			var frame = content.frames[f - content.frameBase];
+			for (var i = 0; i < frame.predictionError.length && i < stats.length; ++i) {
+				var value = frame.predictionError[i];
+				if (value > 0) {
+					++stats[i].count;
+					stats[i].sum += value;
+					if (value > stats[i].max) {
+						stats[i].max = value;
+						stats[i].maxFrame = f;
+					}
+				}
+			}
+		}
+	}
+	for (var i = 0; i < stats.length; ++i)
+		stats[i].avg = stats[i].count > 0 ? stats[i].sum / stats[i].count : 0;
+	return stats;
+}
 
-			var isizeHead = this.createInstSize("Instance avg. size bits", "bytes");
-			headerDiv.appendChild(isizeHead);
+NetDbg.prototype.updateErrorTable = function(content) {
+	if (!content.errorPanel.open)
+		return;
+	var table = content.errorTable;
+	while (table.firstChild)
+		table.removeChild(table.firstChild);
+	var stats = this.collectErrorStats(content, content.errorScope.value == "visible");
+	var sort = content.errorSort;
+	stats.sort(function(a, b) {
+		var order = a[sort.field] < b[sort.field] ? -1 : a[sort.field] > b[sort.field] ? 1 : 0;
+		return sort.descending ? -order : order;
+	});
 
-			descr.appendChild(headerDiv);
-			for (var i = 0; i < content.frames[this.selection].snapshot.length; ++i) {
-				var type = content.frames[this.selection].snapshot[i];
-				if (type.count == 0)
-					continue;
+	var header = document.createElement("tr");
+	header.style.fontWeight = "bold";
+	header.appendChild(this.createTextCell("Pin"));
+	for (var c = 0; c < this.ErrorColumns.length; ++c) {
+		var column = this.ErrorColumns[c];
+		var th = this.createTextCell(column.title + (column.field == sort.field ? (sort.descending ? " \u25bc" : " \u25b2") : ""));
+		th.style.cursor = "pointer";
+		th.addEventListener("click", this.sortErrorTable.bind(this, content, column.field));
+		header.appendChild(th);
+	}
+	table.appendChild(header);
 
-				var sectionDiv = document.createElement("div");
-				this.alternateColorHighlighting(sectionDiv, i+1);
+	for (var i = 0; i < stats.length; ++i) {
+		var stat = stats[i];
+		if (!this.matchesNameFilter(stat.name))
+			continue;
+		var tr = document.createElement("tr");
+		this.alternateColorHighlighting(tr, i+1);
+		var pinCell = document.createElement("td");
+		var pin = document.createElement("input");
+		pin.type = "checkbox";
+		pin.checked = !!content.pinnedErrors[stat.name];
+		pin.addEventListener("change", this.pinError.bind(this, content, stat.name));
+		pinCell.appendChild(pin);
+		tr.appendChild(pinCell);
+		tr.appendChild(this.createTextCell(stat.name));
+		tr.appendChild(this.createTextCell(stat.count));
+		tr.appendChild(this.createTextCell(this.formatValue(stat.avg)));
+		tr.appendChild(this.createTextCell(this.formatValue(stat.max)));
+		var maxCell = this.createTextCell(stat.maxFrame >= 0 ? stat.maxFrame : "-");
+		if (stat.maxFrame >= 0) {
+			maxCell.style.cursor = "pointer";
+			maxCell.style.textDecoration = "underline";
+			maxCell.addEventListener("click", this.showFrame.bind(this, content, stat.maxFrame));
+		}
+		tr.appendChild(maxCell);
+		table.appendChild(tr);
+	}
+}
 
-				var name = this.createName(content.names[i]);
-				sectionDiv.appendChild(name);
+NetDbg.prototype.createTextCell = function(text) {
+	var td = document.createElement("td");
+	td.textContent = "" + text;
+	td.style.padding = "0px 40px 0px 0px";
+	return td;
+}
 
-				var size = this.createSize(type.size, Math.round(type.size / 8));
-				sectionDiv.appendChild(size);
+NetDbg.prototype.sortErrorTable = function(content, field) {
+	if (content.errorSort.field == field)
+		content.errorSort.descending = !content.errorSort.descending;
+	else
+		content.errorSort = {field: field, descending: field != "name"};
+	this.updateErrorTable(content);
+}
 
-				var count = this.createCount(type.count, type.uncompressed);
-				sectionDiv.appendChild(count);
+// Pinned errors are kept by name so they stay pinned when the game sends a new name list.
+NetDbg.prototype.pinError = function(content, name, evt) {
+	if (evt.target.checked)
+		content.pinnedErrors[name] = true;
+	else
+		delete content.pinnedErrors[name];
+	this.invalidate();
+}
 
-				var isize = this.createInstSize(Math.round(type.size / type.count), Math.round(type.size / (8*type.count)));
-				sectionDiv.appendChild(isize);
+// Ghosts are sent uncompressed until the client has acknowledged a baseline for them, so the first
+// SpawnWindowTicks after a ghost type first shows up are not counted in its steady state.
+NetDbg.prototype.SpawnWindowTicks = 60;
 
-				descr.appendChild(sectionDiv);
-				totalSize += type.size;
-			}
-			if (content.frames[this.selection].predictionError != undefined) {
+NetDbg.prototype.createCompressionStat = function(index, name) {
+	return {index: index, name: name, count: 0, uncompressed: 0, size: 0, steadyCount: 0, steadyUncompressed: 0, steadySize: 0};
+}
 
-				var errorCount = 0;
-				var table = document.createElement("table");
-				for (var err = 0; err < content.errors.length; ++err) {
-					if (content.enabledErrors[err]) {
-						errorCount++;
-						var sectionTr = document.createElement("tr");
-						this.alternateColorHighlighting(sectionTr, errorCount);
+NetDbg.prototype.addToCompressionStat = function(stat, type, steady) {
+	stat.count += type.count;
+	stat.uncompressed += type.uncompressed;
+	stat.size += type.size;
+	if (steady) {
+		stat.steadyCount += type.count;
+		stat.steadyUncompressed += type.uncompressed;
+		stat.steadySize += type.size;
+	}
+}
 
-						var nameTd = document.createElement("td");
-						nameTd.textContent = "" + content.errors[err];
-						nameTd.style.minWidth = "200px";
-						nameTd.style.padding = "0px 40px 0px 0px";
-						sectionTr.appendChild(nameTd);
+NetDbg.prototype.addToCompressionStats = function(content, frame) {
+	for (var t = 0; t < frame.snapshot.length; ++t) {
+		var type = frame.snapshot[t];
+		if (type.count == 0)
+			continue;
+		if (content.ghostFirstTick[t] == undefined)
+			content.ghostFirstTick[t] = frame.serverTick;
+		if (content.compressionTotal[t] == undefined)
+			content.compressionTotal[t] = this.createCompressionStat(t, "");
+		this.addToCompressionStat(content.compressionTotal[t], type, frame.serverTick >= content.ghostFirstTick[t] + this.SpawnWindowTicks);
+		content.maxBitsPerInstance = Math.max(content.maxBitsPerInstance, type.size / type.count);
+	}
+}
 
-						var errorTd = document.createElement("td");
-						errorTd.textContent = content.frames[this.selection].predictionError[err];
-						nameTd.style.minWidth = "100px";
-						errorTd.style.padding = "0px 40px 0px 0px";
-						sectionTr.appendChild(errorTd);
+NetDbg.prototype.CompressionColumns = [
+	{field: "name", title: "Ghost type"},
+	{field: "count", title: "Instances"},
+	{field: "ratio", title: "Uncompressed"},
+	{field: "steadyRatio", title: "Uncompressed after spawn"},
+	{field: "bitsPerInstance", title: "Bits/instance"},
+	{field: "steadyBitsPerInstance", title: "Bits/instance after spawn"}
+];
 
-						table.appendChild(sectionTr);
-					}
-				}
+// Ghost types with more than this part of their instances sent uncompressed after the spawn window
+// are highlighted, the same threshold the graph uses to outline a frame.
+NetDbg.prototype.IneffectiveCompression = 0.1;
 
-				// Only show the Prediction errors if we actually have some.
-				if(errorCount !== 0)
-				{
-					descr.appendChild(document.createElement("hr"));
+NetDbg.prototype.createCompressionPanel = function(content) {
+	var panel = document.createElement("details");
+	panel.className = "CompressionPanel";
+	var title = document.createElement("summary");
+	title.appendChild(document.createTextNode("Compression analysis "));
+	panel.appendChild(title);
+	panel.addEventListener("toggle", this.updateCompressionTable.bind(this, content));
 
-					var titleDiv = document.createElement("div");
-					titleDiv.className = "DetailsTitle";
-					titleDiv.style.fontWeight = "bold";
-					titleDiv.appendChild(document.createTextNode("Prediction errors"));
-					descr.appendChild(titleDiv);
+	content.compressionScope = document.createElement("select");
+	content.compressionScope.appendChild(new Option("Whole session", "session"));
+	content.compressionScope.appendChild(new Option("Visible range", "visible"));
+	content.compressionScope.addEventListener("change", this.updateCompressionTable.bind(this, content));
+	panel.appendChild(content.compressionScope);
 
-					descr.appendChild(table);
-				}
-			}
+	content.compressionTable = document.createElement("table");
+	panel.appendChild(content.compressionTable);
+	content.compressionPanel = panel;
+	content.compressionSort = {field: "steadyRatio", descending: true};
+	content.container.appendChild(panel);
+}
 
-			var avgCommandAge = 0;
-			var avgTimeScale = 0;
+// Per ghost type compression stats of the whole session, or of the full resolution frames in view.
+// Ghost types without instances are left out.
+NetDbg.prototype.collectCompressionStats = function(content, visibleOnly) {
+	var totals = [];
+	for (var t = 0; t < content.names.length; ++t) {
+		var stat = this.createCompressionStat(t, content.names[t]);
+		if (!visibleOnly && content.compressionTotal[t] != undefined) {
+			var total = content.compressionTotal[t];
+			for (var field in total) {
+				if (field != "index" && field != "name")
+					stat[field] = total[field];
+			}
+		}
+		totals.push(stat);
+	}
+	if (visibleOnly) {
+		var first = Math.max(Math.floor(this.currentOffset() / this.frameWidth), content.frameBase);
+		var end = Math.min(Math.ceil((this.currentOffset() + content.canvas.width) / this.frameWidth), this.frameCount(content));
+		for (var f = first; f < end; ++f) {
+			var frame = content.frames[f - content.frameBase];
+			for (var t = 0; t < frame.snapshot.length && t < totals.length; ++t) {
+				if (frame.snapshot[t].count > 0)
+					this.addToCompressionStat(totals[t], frame.snapshot[t], frame.serverTick >= content.ghostFirstTick[t] + this.SpawnWindowTicks);
+			}
+		}
+	}
+	var stats = [];
+	for (var t = 0; t < totals.length; ++t) {
+		var stat = totals[t];
+		if (stat.count == 0)
+			continue;
+		stat.ratio = stat.uncompressed / stat.count;
+		stat.steadyRatio = stat.steadyCount > 0 ? stat.steadyUncompressed / stat.steadyCount : 0;
+		stat.bitsPerInstance = stat.size / stat.count;
+		stat.steadyBitsPerInstance = stat.steadyCount > 0 ? stat.steadySize / stat.steadyCount : 0;
+		stats.push(stat);
+	}
+	return stats;
+}
+
+// Ranks the ghost types by how often they are sent uncompressed once they have been spawned, the
+// types at the top are the ones where delta compression does not work.
+NetDbg.prototype.updateCompressionTable = function(content) {
+	if (!content.compressionPanel.open)
+		return;
+	var table = content.compressionTable;
+	while (table.firstChild)
+		table.removeChild(table.firstChild);
+	var stats = this.collectCompressionStats(content, content.compressionScope.value == "visible");
+	var sort = content.compressionSort;
+	stats.sort(function(a, b) {
+		var order = a[sort.field] < b[sort.field] ? -1 : a[sort.field] > b[sort.field] ? 1 : 0;
+		return sort.descending ? -order : order;
+	});
+
+	var header = document.createElement("tr");
+	header.style.fontWeight = "bold";
+	for (var c = 0; c < this.CompressionColumns.length; ++c) {
+		var column = this.CompressionColumns[c];
+		var th = this.createTextCell(column.title + (column.field == sort.field ? (sort.descending ? " \u25bc" : " \u25b2") : ""));
+		th.style.cursor = "pointer";
+		th.addEventListener("click", this.sortCompressionTable.bind(this, content, column.field));
+		header.appendChild(th);
+	}
+	table.appendChild(header);
+
+	var percent = function(value) { return (100 * value).toFixed(1) + "%"; };
+	for (var i = 0; i < stats.length; ++i) {
+		var stat = stats[i];
+		if (!this.matchesNameFilter(stat.name))
+			continue;
+		var tr = document.createElement("tr");
+		this.alternateColorHighlighting(tr, i+1);
+		if (stat.steadyRatio > this.IneffectiveCompression)
+			tr.style.color = "red";
+		var nameCell = this.createTextCell(stat.name);
+		nameCell.style.cursor = "pointer";
+		nameCell.style.textDecoration = "underline";
+		nameCell.title = "Click to show only this ghost type, click again to show all types";
+		nameCell.addEventListener("click", this.toggleGhost.bind(this, content, stat.index, {shiftKey: true}));
+		tr.appendChild(nameCell);
+		tr.appendChild(this.createTextCell(stat.count));
+		tr.appendChild(this.createTextCell(percent(stat.ratio)));
+		tr.appendChild(this.createTextCell(stat.steadyCount > 0 ? percent(stat.steadyRatio) : "-"));
+		tr.appendChild(this.createTextCell(stat.bitsPerInstance.toFixed(1)));
+		tr.appendChild(this.createTextCell(stat.steadyCount > 0 ? stat.steadyBitsPerInstance.toFixed(1) : "-"));
+		table.appendChild(tr);
+	}
+}
+
+NetDbg.prototype.sortCompressionTable = function(content, field) {
+	if (content.compressionSort.field == field)
+		content.compressionSort.descending = !content.compressionSort.descending;
+	else
+		content.compressionSort = {field: field, descending: field != "name"};
+	this.updateCompressionTable(content);
+}
+
+// Gaps are runs of ticks the debugger received no stats for, the decoder fills them with empty frames.
+// Together with the discarded packets and the distance between the received snapshot ticks they show
+// how much of the traffic was lost.
+NetDbg.prototype.addToLossStats = function(content, index, frame) {
+	if (frame.missing) {
+		var gap = content.gaps[content.gaps.length - 1];
+		if (gap != undefined && gap.first + gap.length == index)
+			++gap.length;
+		else
+			content.gaps.push({first: index, tick: frame.serverTick, length: 1});
+		++content.missingTicks;
+	}
+	if (frame.discardedPackets > 0)
+		content.discardedTotal += frame.discardedPackets;
+	for (var i = 0; i < frame.snapshotTicks.length; ++i) {
+		var tick = frame.snapshotTicks[i];
+		if (content.lastSnapshotTick != undefined) {
+			var delta = tick - content.lastSnapshotTick;
+			content.snapshotDeltas[delta] = (content.snapshotDeltas[delta] || 0) + 1;
+		}
+		content.lastSnapshotTick = tick;
+		++content.snapshotPackets;
+	}
+}
+
+// Commands are sent redundantly, so a command tick which was already part of an earlier frame is
+// marked as repeated. Only the ticks of the last CommandHistoryTicks server ticks are remembered, they are
+// forgotten in the order they were sent so every frame only looks at the expired ones.
+NetDbg.prototype.CommandHistoryTicks = 64;
+
+NetDbg.prototype.addToTickTimeline = function(content, frame) {
+	frame.repeatedCommands = [];
+	for (var i = 0; i < frame.snapshotTicks.length; ++i)
+		content.maxTickOffset = Math.max(content.maxTickOffset, Math.abs(frame.snapshotTicks[i] - frame.serverTick));
+	for (var i = 0; i < frame.commandTicks.length; ++i) {
+		var tick = frame.commandTicks[i];
+		frame.repeatedCommands.push(content.sentCommandTicks[tick] != undefined);
+		content.sentCommandTicks[tick] = frame.serverTick;
+		content.sentCommandQueue.push({tick: tick, serverTick: frame.serverTick});
+		content.maxTickOffset = Math.max(content.maxTickOffset, Math.abs(tick - frame.serverTick));
+	}
+	if (frame.snapshotTicks.length + frame.commandTicks.length > 0)
+		content.hasTickData = true;
+	var queue = content.sentCommandQueue;
+	while (content.sentCommandHead < queue.length && queue[content.sentCommandHead].serverTick < frame.serverTick - this.CommandHistoryTicks) {
+		var sent = queue[content.sentCommandHead++];
+		// Ticks sent again later stay until their last send expires.
+		if (content.sentCommandTicks[sent.tick] == sent.serverTick)
+			delete content.sentCommandTicks[sent.tick];
+	}
+	if (content.sentCommandHead > 1024) {
+		queue.splice(0, content.sentCommandHead);
+		content.sentCommandHead = 0;
+	}
+}
+
+NetDbg.prototype.createLossPanel = function(content) {
+	var panel = document.createElement("details");
+	panel.className = "LossPanel";
+	var title = document.createElement("summary");
+	title.appendChild(document.createTextNode("Loss and gaps "));
+	content.lossSummary = document.createElement("span");
+	title.appendChild(content.lossSummary);
+	panel.appendChild(title);
+	panel.addEventListener("toggle", this.updateLossReport.bind(this, content));
+	content.lossReport = document.createElement("div");
+	panel.appendChild(content.lossReport);
+	content.lossPanel = panel;
+	content.container.appendChild(panel);
+}
+
+NetDbg.prototype.MaxListedGaps = 200;
+
+// Updates the loss summary of a connection, the tables and the gap list are only built while the panel is open.
+NetDbg.prototype.updateLossReport = function(content) {
+	var frames = this.frameCount(content);
+	content.lossSummary.textContent = "(" + content.gaps.length + " gaps, " + content.missingTicks + " missing ticks, " + content.discardedTotal + " discarded packets)";
+	if (!content.lossPanel.open)
+		return;
+	var report = content.lossReport;
+	while (report.firstChild)
+		report.removeChild(report.firstChild);
+
+	var longest = 0;
+	for (var i = 0; i < content.gaps.length; ++i)
+		longest = Math.max(longest, content.gaps[i].length);
+	var percent = function(value, total) { return total > 0 ? " (" + (100 * value / total).toFixed(2) + "%)" : ""; };
+	var table = document.createElement("table");
+	table.appendChild(this.createTableRow(["Gaps", content.gaps.length], 1));
+	table.appendChild(this.createTableRow(["Missing ticks", content.missingTicks + percent(content.missingTicks, frames) + " of " + frames + " ticks"], 2));
+	table.appendChild(this.createTableRow(["Longest gap", longest + " ticks"], 3));
+	table.appendChild(this.createTableRow(["Average gap", (content.gaps.length > 0 ? content.missingTicks / content.gaps.length : 0).toFixed(1) + " ticks"], 4));
+	table.appendChild(this.createTableRow(["Discarded packets", content.discardedTotal + percent(content.discardedTotal, content.snapshotPackets + content.discardedTotal) + " of " +
+		(content.snapshotPackets + content.discardedTotal) + " snapshot packets"], 5));
+	report.appendChild(table);
+
+	var deltas = Object.keys(content.snapshotDeltas).map(Number).sort(function(a, b) { return a - b; });
+	if (deltas.length > 0) {
+		var deltaCount = 0;
+		for (var i = 0; i < deltas.length; ++i)
+			deltaCount += content.snapshotDeltas[deltas[i]];
+		table = document.createElement("table");
+		table.appendChild(this.createTableRow(["Snapshot tick delta", "Snapshots", "Share"], -1));
+		for (var i = 0; i < deltas.length; ++i) {
+			var count = content.snapshotDeltas[deltas[i]];
+			table.appendChild(this.createTableRow([deltas[i], count, (100 * count / deltaCount).toFixed(2) + "%"], i+1));
+		}
+		report.appendChild(table);
+	}
+
+	if (content.gaps.length == 0)
+		return;
+	var list = document.createElement("div");
+	list.className = "GapList";
+	var first = Math.max(content.gaps.length - this.MaxListedGaps, 0);
+	if (first > 0)
+		list.appendChild(this.createTextDiv("Showing the last " + this.MaxListedGaps + " of " + content.gaps.length + " gaps"));
+	for (var i = first; i < content.gaps.length; ++i) {
+		var gap = content.gaps[i];
+		var item = document.createElement("div");
+		item.className = "GapListItem";
+		item.appendChild(document.createTextNode("Ticks " + gap.tick + " - " + (gap.tick + gap.length - 1) + ": " + gap.length + " missing"));
+		item.addEventListener("click", this.showGap.bind(this, content, gap));
+		list.appendChild(item);
+	}
+	report.appendChild(list);
+}
+
+NetDbg.prototype.createPacketPanel = function(content) {
+	var panel = document.createElement("details");
+	panel.className = "PacketPanel";
+	var title = document.createElement("summary");
+	title.appendChild(document.createTextNode("Packets per snapshot "));
+	content.packetSummary = document.createElement("span");
+	title.appendChild(content.packetSummary);
+	panel.appendChild(title);
+	panel.addEventListener("toggle", this.updatePacketReport.bind(this, content));
+	content.packetReport = document.createElement("div");
+	panel.appendChild(content.packetReport);
+	content.packetPanel = panel;
+	content.container.appendChild(panel);
+}
+
+// Fragmented snapshots which only spill this part of a packet into their last packet are listed as
+// close to the packet boundary, they are the cheapest to bring back to one packet less.
+NetDbg.prototype.SmallSpill = 0.1;
+
+// Histogram of the estimated number of packets of every snapshot in the session.
+NetDbg.prototype.updatePacketReport = function(content) {
+	var payload = this.packetBytes(content);
+	var histogram = [];
+	var snapshots = 0;
+	var fragmented = 0;
+	var smallSpill = 0;
+	for (var key in content.snapshotSizes) {
+		var bytes = Number(key);
+		var count = content.snapshotSizes[key];
+		var packets = Math.ceil(bytes / payload);
+		histogram[packets] = (histogram[packets] || 0) + count;
+		snapshots += count;
+		if (packets > 1) {
+			fragmented += count;
+			if (bytes - (packets - 1) * payload < payload * this.SmallSpill)
+				smallSpill += count;
+		}
+	}
+	var percent = function(value) { return snapshots > 0 ? " (" + (100 * value / snapshots).toFixed(2) + "%)" : ""; };
+	content.packetSummary.textContent = "(" + fragmented + " of " + snapshots + " snapshots fragmented, " + payload + " bytes per packet)";
+	if (!content.packetPanel.open)
+		return;
+	var report = content.packetReport;
+	while (report.firstChild)
+		report.removeChild(report.firstChild);
+
+	var mtu = parseInt(document.getElementById("packetMtu").value) > 0 ? "" : (content.mtu != undefined ? " (MTU sent by the game)" : " (default MTU)");
+	var table = document.createElement("table");
+	table.appendChild(this.createTableRow(["Payload per packet", payload + " bytes" + mtu], 1));
+	table.appendChild(this.createTableRow(["Snapshots", snapshots], 2));
+	table.appendChild(this.createTableRow(["Fragmented", fragmented + percent(fragmented)], 3));
+	table.appendChild(this.createTableRow(["Less than " + Math.round(payload * this.SmallSpill) + " bytes in the last packet", smallSpill + percent(smallSpill)], 4));
+	report.appendChild(table);
+	if (snapshots == 0)
+		return;
+
+	table = document.createElement("table");
+	table.appendChild(this.createTableRow(["Packets", "Snapshots", "Share", ""], -1));
+	var row = 0;
+	for (var packets = 1; packets < histogram.length; ++packets) {
+		var count = histogram[packets] || 0;
+		var tr = this.createTableRow([packets, count, (100 * count / snapshots).toFixed(2) + "%"], ++row);
+		var bar = document.createElement("div");
+		bar.className = "PacketBar";
+		bar.style.width = Math.round(200 * count / snapshots) + "px";
+		var td = document.createElement("td");
+		td.appendChild(bar);
+		tr.appendChild(td);
+		table.appendChild(tr);
+	}
+	report.appendChild(table);
+}
+
+// Scrolls to a gap and selects its ticks.
+NetDbg.prototype.showGap = function(content, gap) {
+	this.showFrame(content, gap.first);
+	if (gap.length > 1) {
+		this.selectionEnd = gap.first + gap.length - 1;
+		this.updateDetails();
+		this.invalidate();
+	}
+}
+
+// Selects a frame and scrolls it to the middle of the view.
+NetDbg.prototype.showFrame = function(content, index) {
+	document.getElementById("liveUpdate").checked = false;
+	this.offsetX = Math.min(Math.max(index * this.frameWidth - content.container.offsetWidth / 2, 0), this.maxOffset());
+	this.selectFrame(index);
+}
+
+NetDbg.prototype.addToTimeRange = function(content, frame) {
+	for (var s = 0; s < frame.time.length; ++s) {
+		for (var i = 0; i < this.TimeFields.length; ++i) {
+			var field = this.TimeFields[i];
+			var value = frame.time[s][field];
+			var range = content.timeRange[field];
+			if (range == undefined)
+				content.timeRange[field] = {min: value, max: value};
+			else {
+				range.min = Math.min(range.min, value);
+				range.max = Math.max(range.max, value);
+			}
+		}
+	}
+}
+
+// The axis of a time sample lane, either the fixed scale from the lane settings or the range of all
+// values received so far rounded out to whole grid steps.
+NetDbg.prototype.laneRange = function(content, lane, settings) {
+	var min = settings.min;
+	var max = settings.max > settings.min ? settings.max : settings.min + Math.max(Math.abs(settings.min) * 0.1, 1);
+	var fixed = settings.fixed && this.isValidLaneRange(min, max);
+	if (!fixed) {
+		min = Infinity;
+		max = -Infinity;
+		for (var f = 0; f < lane.fields.length; ++f) {
+			var range = content.timeRange[lane.fields[f]];
+			if (range != undefined) {
+				min = Math.min(min, range.min);
+				max = Math.max(max, range.max);
+			}
+		}
+		if (min > max)
+			min = max = 0;
+		if (lane.includeZero) {
+			min = Math.min(min, 0);
+			max = Math.max(max, 0);
+		}
+		if (max == min) {
+			var pad = min != 0 ? Math.abs(min) * 0.1 : 1;
+			min -= pad;
+			max += pad;
+		}
+	}
+	var step = this.niceScale((max - min) / 4);
+	if (!fixed) {
+		min = Math.floor(min / step) * step;
+		max = Math.ceil(max / step) * step;
+	}
+	return {min: min, max: max, step: step};
+}
+
+// Fixed ranges typed into the lane settings are ignored if they are not finite or too narrow to tell the
+// values apart, which would leave the lane without a usable scale.
+NetDbg.prototype.isValidLaneRange = function(min, max) {
+	return isFinite(min) && isFinite(max) && max - min > 8 * Number.EPSILON * Math.abs(min);
+}
+
+// Values of the grid lines of a time sample lane. Counted in steps so rounding can not stall the loop.
+NetDbg.prototype.MaxLaneGridLines = 32;
+
+NetDbg.prototype.laneGridValues = function(lane) {
+	var values = [];
+	var count = Math.min(Math.round((lane.max - lane.min) / lane.step), this.MaxLaneGridLines);
+	for (var i = 0; i <= count; ++i)
+		values.push(lane.min + i * lane.step);
+	return values;
+}
+
+// Builds the table of time sample lane settings in the control panel.
+NetDbg.prototype.createLaneSettings = function() {
+	this.laneSettings = {};
+	var table = document.getElementById("laneSettingsTable");
+	table.appendChild(this.createTableRow(["Lane", "Height", "Fixed scale", "Min", "Max"], -1));
+	var update = this.updateLaneSettings.bind(this);
+	for (var i = 0; i < this.TimeLanes.length; ++i) {
+		var lane = this.TimeLanes[i];
+		var tr = document.createElement("tr");
+		tr.appendChild(this.createTextCell(lane.name + " (" + lane.unit + ")"));
+		var inputs = {};
+		var fields = [["height", "number", this.DefaultLaneHeight], ["fixed", "checkbox"], ["min", "number", 0], ["max", "number", 1]];
+		for (var f = 0; f < fields.length; ++f) {
+			var td = document.createElement("td");
+			var input = document.createElement("input");
+			input.type = fields[f][1];
+			if (input.type == "number") {
+				input.value = "" + fields[f][2];
+				input.style.width = "5em";
+			}
+			input.addEventListener("change", update);
+			td.appendChild(input);
+			tr.appendChild(td);
+			inputs[fields[f][0]] = input;
+		}
+		inputs.height.min = "20";
+		inputs.height.step = "10";
+		table.appendChild(tr);
+		this.laneSettings[lane.id] = {inputs: inputs};
+	}
+	var saved = this.readJsonSetting("lanes") || {};
+	for (var id in saved) {
+		var settings = this.laneSettings[id];
+		if (settings == undefined)
+			continue;
+		settings.inputs.height.value = "" + saved[id].height;
+		settings.inputs.fixed.checked = saved[id].fixed === true;
+		settings.inputs.min.value = "" + saved[id].min;
+		settings.inputs.max.value = "" + saved[id].max;
+	}
+	this.updateLaneSettings();
+}
+
+NetDbg.prototype.updateLaneSettings = function() {
+	var saved = {};
+	for (var id in this.laneSettings) {
+		var settings = this.laneSettings[id];
+		settings.height = Math.max(parseInt(settings.inputs.height.value) || this.DefaultLaneHeight, 20);
+		settings.fixed = settings.inputs.fixed.checked;
+		settings.min = parseFloat(settings.inputs.min.value) || 0;
+		settings.max = parseFloat(settings.inputs.max.value) || 0;
+		saved[id] = {height: settings.height, fixed: settings.fixed, min: settings.min, max: settings.max};
+	}
+	this.writeSetting("lanes", JSON.stringify(saved));
+	this.invalidate();
+}
+
+// Markers are sent by gameplay code through NetDbgMarkers to label events such as a wave starting. They
+// are kept for the whole session, also for ticks which have been downsampled.
+NetDbg.prototype.addMarker = function(content, marker, packet) {
+	content.markers.push(marker);
+	content.capture.markers.push(packet);
+	this.updateMarkerList();
+	this.invalidate();
+}
+
+// Index of the frame of a server tick. Missing ticks are filled with empty frames, so the frames of a
+// connection have consecutive ticks.
+NetDbg.prototype.tickToFrame = function(content, tick) {
+	if (content.firstTick == undefined)
+		return -1;
+	return tick - content.firstTick;
+}
+
+NetDbg.prototype.markerColor = function(category) {
+	var hash = 0;
+	for (var i = 0; i < category.length; ++i)
+		hash = (hash * 31 + category.charCodeAt(i)) | 0;
+	return this.Colors[Math.abs(hash) % this.Colors.length];
+}
+
+// Draws the markers as labeled vertical lines across the whole canvas, on top of the frames.
+NetDbg.prototype.drawMarkers = function(content, ctx, layout, offset) {
+	ctx.font = '10px sans-serif';
+	for (var i = 0; i < content.markers.length; ++i) {
+		var marker = content.markers[i];
+		var index = this.tickToFrame(content, marker.tick);
+		if (index < 0)
+			continue;
+		var xpos = Math.round((index + 0.5) * this.frameWidth - offset);
+		if (xpos < 0 || xpos >= content.canvas.width)
+			continue;
+		ctx.fillStyle = this.markerColor(marker.category);
+		ctx.fillRect(xpos, 0, 1, layout.height);
+		var text = marker.category != "" ? marker.category + ": " + marker.label : marker.label;
+		ctx.fillText(text, xpos + 3, 10 + (i % 4) * 12);
+	}
+}
+
+// Rebuilds the marker sidebar with the markers of all connections.
+NetDbg.prototype.updateMarkerList = function() {
+	var list = document.getElementById("markerList");
+	while (list.firstChild)
+		list.removeChild(list.firstChild);
+	var count = 0;
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		if (content.markers.length == 0)
+			continue;
+		var title = document.createElement("div");
+		title.className = "MarkerListTitle";
+		title.appendChild(document.createTextNode(content.endpoint.displayName + " " + content.capture.name));
+		list.appendChild(title);
+		for (var i = 0; i < content.markers.length; ++i) {
+			var marker = content.markers[i];
+			var item = document.createElement("div");
+			item.className = "MarkerListItem";
+			item.style.borderLeftColor = this.markerColor(marker.category);
+			item.appendChild(document.createTextNode(marker.tick + " " + (marker.category != "" ? "[" + marker.category + "] " : "") + marker.label));
+			item.addEventListener("click", this.showMarker.bind(this, content, marker));
+			list.appendChild(item);
+		}
+		count += content.markers.length;
+	}
+	document.getElementById("markerCount").textContent = "" + count;
+}
+
+NetDbg.prototype.showMarker = function(content, marker) {
+	var index = this.tickToFrame(content, marker.tick);
+	if (index >= 0)
+		this.showFrame(content, index);
+}
+
+// Reads the retention settings from the control panel. They apply to all connections the next time
+// frames are archived, the archive bucket size of a connection can only grow.
+NetDbg.prototype.updateRetention = function() {
+	this.historyTicks = parseInt(document.getElementById("historyTicks").value);
+	this.archiveBucketTicks = parseInt(document.getElementById("archiveBucketTicks").value);
+}
+
+NetDbg.prototype.tryFastConnect = function() {
+	if (document.visibilityState !== "visible")
+		return;
+	for (var i = 0; i < this.endpoints.length; ++i) {
+		var endpoint = this.endpoints[i];
+		var isConnected = endpoint.ws !== undefined && endpoint.ws.readyState <= 1;
+		if (endpoint.autoReconnect === true && !isConnected)
+			this.connectEndpoint(endpoint);
+	}
+}
+
+NetDbg.prototype.findEndpoint = function(host) {
+	for (var i = 0; i < this.endpoints.length; ++i) {
+		if (this.endpoints[i].host == host)
+			return this.endpoints[i];
+	}
+	return undefined;
+}
+
+// An endpoint is a single game process the debugger connects to. Each endpoint has its own socket,
+// reconnect state and group of connection panels. Endpoints created when loading a capture file or showing
+// an earlier session are offline and have no socket, label is shown next to their host.
+NetDbg.prototype.addEndpoint = function(host, offline, label) {
+	var endpoint = {host: host, ws: undefined, autoReconnect: !offline, offline: offline === true, decoder: new NetDbgDecoder(), connections: [], session: undefined};
+	var displayName = endpoint.offline ? host + " (" + (label || "capture") + ")" : host;
+	endpoint.displayName = displayName;
+
+	endpoint.group = document.createElement("div");
+	var title = document.createElement("div");
+	title.className = "EndpointTitle";
+	title.appendChild(document.createTextNode(displayName));
+	endpoint.droppedLabel = document.createElement("span");
+	endpoint.droppedLabel.className = "DroppedPackets";
+	title.appendChild(endpoint.droppedLabel);
+	endpoint.group.appendChild(title);
+	endpoint.banner = document.createElement("div");
+	endpoint.banner.className = "ProtocolError";
+	endpoint.group.appendChild(endpoint.banner);
+	document.getElementById("connectionContainer").appendChild(endpoint.group);
+
+	endpoint.row = document.createElement("div");
+	endpoint.row.className = "NetDbgDisconnected";
+	var label = document.createElement("span");
+	label.className = "EndpointHost";
+	label.appendChild(document.createTextNode(displayName));
+	endpoint.row.appendChild(label);
+	if (!endpoint.offline) {
+		this.createEndpointButton(endpoint, "Connect", "ConnectButton", this.connectEndpoint);
+		this.createEndpointButton(endpoint, "Cancel", "CancelButton", this.disconnectEndpoint);
+		this.createEndpointButton(endpoint, "Disconnect", "DisconnectButton", this.disconnectEndpoint);
+	}
+	this.createEndpointButton(endpoint, "Remove", "RemoveButton", this.removeEndpoint);
+	document.getElementById("endpointList").appendChild(endpoint.row);
+
+	this.endpoints.push(endpoint);
+	if (!endpoint.offline)
+		this.saveEndpoints();
+	return endpoint;
+}
+
+NetDbg.prototype.createEndpointButton = function(endpoint, text, className, action) {
+	var button = document.createElement("input");
+	button.type = "button";
+	button.value = text;
+	button.className = className;
+	button.addEventListener("click", action.bind(this, endpoint));
+	endpoint.row.appendChild(button);
+}
+
+NetDbg.prototype.removeEndpoint = function(endpoint) {
+	if (endpoint.ws !== undefined && endpoint.ws.readyState <= 1)
+		this.disconnectEndpoint(endpoint);
+	this.clearEndpoint(endpoint);
+	endpoint.group.parentNode.removeChild(endpoint.group);
+	endpoint.row.parentNode.removeChild(endpoint.row);
+	this.endpoints.splice(this.endpoints.indexOf(endpoint), 1);
+	if (!endpoint.offline)
+		this.saveEndpoints();
+	if (endpoint === this.sessionEndpoint)
+		this.sessionEndpoint = undefined;
+	this.updateSessionList();
+}
+
+// Connects to the given host, adding it to the list of endpoints if it is not there already.
+NetDbg.prototype.connect = function(host) {
+	var endpoint = this.findEndpoint(host);
+	if (endpoint == undefined || endpoint.offline)
+		endpoint = this.addEndpoint(host);
+	var isConnected = endpoint.ws !== undefined && endpoint.ws.readyState <= 1;
+	if (!isConnected)
+		this.connectEndpoint(endpoint);
+}
+
+NetDbg.prototype.connectEndpoint = function(endpoint) {
+
+	console.log(`'${this.constructor.name}' connecting to websocket ${endpoint.host}...`);
+
+	endpoint.row.className = "NetDbgConnecting";
+
+	// Connect to unity
+	endpoint.ws = new WebSocket("ws://" + endpoint.host);
+	endpoint.ws.binaryType = "arraybuffer";
+	endpoint.ws.addEventListener("message", this.wsReceive.bind(this, endpoint));
+	endpoint.ws.addEventListener("open", this.wsOpen.bind(this, endpoint));
+	endpoint.ws.addEventListener("close", this.wsClose.bind(this, endpoint));
+	//endpoint.ws.addEventListener("error", this.wsClose.bind(this, endpoint));
+}
+NetDbg.prototype.disconnectEndpoint = function(endpoint) {
+	endpoint.autoReconnect = false;
+	if (endpoint.ws === undefined)
+		return;
+	endpoint.ws.close();
+	endpoint.row.className = "NetDbgDisconnected";
+	console.log(`'${this.constructor.name}' disconnected from '${endpoint.ws.url}']!`)
+}
+NetDbg.prototype.disconnect = function() {
+	for (var i = 0; i < this.endpoints.length; ++i)
+		this.disconnectEndpoint(this.endpoints[i]);
+}
+
+NetDbg.prototype.wsOpen = function(endpoint, evt) {
+	if (evt.target !== endpoint.ws)
+		return;
+	endpoint.autoReconnect = true;
+	endpoint.row.className = "NetDbgConnected";
+	console.log(`'${this.constructor.name}' successfully connected to '${endpoint.ws.url}', resetting data!`)
+
+	// Clear the existing data of this endpoint as we now have new data (i.e. a new run) to show, the
+	// previous run is kept in the session list.
+	this.clearEndpoint(endpoint);
+	this.startSession(endpoint);
+}
+
+// Removes all connection panels and data of a single endpoint, leaving the other endpoints untouched.
+// The data received from a game is archived as a session first.
+NetDbg.prototype.clearEndpoint = function(endpoint) {
+	if (!endpoint.offline) {
+		this.archiveSession(endpoint);
+		endpoint.session = undefined;
+	}
+	for (var con = 0; con < endpoint.connections.length; ++con) {
+		var content = endpoint.connections[con];
+		if (content == undefined)
+			continue;
+		endpoint.group.removeChild(content.title);
+		endpoint.group.removeChild(content.container);
+		this.content.splice(this.content.indexOf(content), 1);
+	}
+	endpoint.connections = [];
+	endpoint.decoder = new NetDbgDecoder();
+	this.updateProtocolStatus(endpoint);
+	this.updateMarkerList();
+	if (this.content.length == 0) {
+		this.selection = -1;
+		this.selectionEnd = -1;
+		this.offsetX = -1;
+		document.getElementById("liveUpdate").checked = true;
+	}
+	this.invalidate();
+}
+
+// Disconnects all endpoints and clears their data. Offline endpoints are removed entirely.
+NetDbg.prototype.reset = function() {
+	this.disconnect();
+	for (var i = this.endpoints.length - 1; i >= 0; --i) {
+		if (this.endpoints[i].offline)
+			this.removeEndpoint(this.endpoints[i]);
+		else
+			this.clearEndpoint(this.endpoints[i]);
+	}
+}
+
+NetDbg.prototype.wsClose = function(endpoint, evt) {
+	if (evt.target !== endpoint.ws)
+		return;
+	endpoint.row.className = "NetDbgDisconnected";
+	console.log(`'${this.constructor.name}' WebSocket '${endpoint.ws.url}' closed with [${evt.code}:'${evt.reason}']!`)
+}
+
+NetDbg.prototype.wsReceive = function(endpoint, evt) {
+	if (evt.target !== endpoint.ws)
+		return;
+	this.receive(endpoint, evt.data);
+}
+
+// Handles a single packet from the game, either a JSON hello, name or marker packet or a binary stats frame.
+// Every packet is also kept in its raw form so the session can be saved and replayed later.
+NetDbg.prototype.receive = function(endpoint, data) {
+	var result = endpoint.decoder.decode(data);
+	if (result == null)
+		return;
+	if (result.type == "hello" || result.type == "dropped") {
+		this.updateProtocolStatus(endpoint);
+		return;
+	}
+	if (result.type == "names") {
+		this.updateNames(endpoint, result.index, result.connection, data);
+		return;
+	}
+
+	var content = endpoint.connections[result.index];
+	if (result.type == "marker") {
+		if (content != undefined)
+			this.addMarker(content, result.marker, data);
+		return;
+	}
+	content.capture.frames.push(data);
+	if (content.firstTick == undefined)
+		content.firstTick = result.frames[0].serverTick;
+	for (var f = 0; f < result.frames.length; ++f) {
+		var frame = result.frames[f];
+		var totalSize = 0;
+		for (var i = 0; i < frame.snapshot.length; ++i) {
+			content.total[i*2] += frame.snapshot[i].size;
+			content.total[i*2 + 1] += frame.snapshot[i].count;
+			totalSize += frame.snapshot[i].size;
+		}
+		for (var i = 0; i < frame.predictionError.length; ++i) {
+			if (frame.predictionError[i] > 0) {
+				content.enabledErrors[i] = true;
+				content.totalErrorCount[i] += 1;
+				content.totalError[i] += frame.predictionError[i];
+				if (frame.predictionError[i] > content.maxError[i]) {
+					content.maxError[i] = frame.predictionError[i];
+					content.maxErrorFrame[i] = this.frameCount(content);
+				}
+			}
+		}
+		var maxPackets = this.packetCount(content, totalSize);
+		if (maxPackets > content.maxPackets)
+			content.maxPackets = maxPackets;
+		var filteredMaxPackets = this.packetCount(content, this.visibleSnapshotSize(content, frame));
+		if (filteredMaxPackets > content.filteredMaxPackets)
+			content.filteredMaxPackets = filteredMaxPackets;
+		if (frame.time.length > 0)
+			content.hasTimeData = true;
+		var rpcSent = 0;
+		var rpcReceived = 0;
+		for (var i = 0; i < frame.rpcs.length; ++i) {
+			var total = content.rpcTotal[i];
+			total.sent += frame.rpcs[i].sent;
+			total.sentBytes += frame.rpcs[i].sentBytes;
+			total.received += frame.rpcs[i].received;
+			total.receivedBytes += frame.rpcs[i].receivedBytes;
+			rpcSent += frame.rpcs[i].sentBytes;
+			rpcReceived += frame.rpcs[i].receivedBytes;
+		}
+		content.maxRpcBytes = Math.max(content.maxRpcBytes, rpcSent, rpcReceived);
+		// Snapshot sizes are counted in bytes independent of the packet size, so the packet histogram
+		// can be rebuilt for the whole session when the MTU changes.
+		content.maxSnapshotSize = Math.max(content.maxSnapshotSize, totalSize);
+		if (totalSize > 0) {
+			var bytes = Math.ceil(totalSize / 8);
+			content.snapshotSizes[bytes] = (content.snapshotSizes[bytes] || 0) + 1;
+		}
+		this.addToTimeRange(content, frame);
+		this.addToLossStats(content, this.frameCount(content), frame);
+		this.addToTickTimeline(content, frame);
+		this.addToCompressionStats(content, frame);
+		this.addFrameToBaseBucket(content, this.frameCount(content), frame);
+		if (this.frameExceedsBudget(content, frame)) {
+			content.violations.push(this.frameCount(content));
+			++content.violationTicks;
+		}
+		content.frames.push(frame);
+	}
+	this.applyRetention(content);
+	this.invalidate();
+	this.invalidateLegendStats();
+}
+
+// Shows the protocol error banner of an endpoint and the number of packets the decoder could not use.
+NetDbg.prototype.updateProtocolStatus = function(endpoint) {
+	var decoder = endpoint.decoder;
+	endpoint.banner.textContent = decoder.error != undefined ? decoder.error : "";
+	endpoint.banner.style.display = decoder.error != undefined ? "block" : "none";
+	// The status is updated for every dropped packet, only log the error once.
+	if (decoder.error != undefined && decoder.error !== endpoint.loggedError)
+		console.error(decoder.error);
+	endpoint.loggedError = decoder.error;
+	endpoint.droppedLabel.textContent = decoder.droppedPackets > 0 ? decoder.droppedPackets + " packets dropped" : "";
+	endpoint.droppedLabel.title = decoder.dropReason != undefined ? "Last dropped packet: " + decoder.dropReason : "";
+}
+
+NetDbg.prototype.CaptureFormat = "NetDbgCapture";
+NetDbg.prototype.CaptureVersion = 1;
+
+// Writes every name packet and raw binary frame received so far to a versioned capture file.
+// The name packets are stored together with the number of frames received before them, so
+// reopening the file replays the packets in the same order as they arrived from the game.
+NetDbg.prototype.saveSession = function() {
+	var connections = [];
+	var truncated = [];
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		var capture = content.capture;
+		if (capture.truncated === true)
+			truncated.push(content.endpoint.displayName + " " + capture.name);
+		var frames = [];
+		for (var i = 0; i < capture.frames.length; ++i)
+			frames.push(NetDbgDecoder.encodeBase64(capture.frames[i]));
+		connections.push({host: content.endpoint.host, index: content.index, name: capture.name, truncated: capture.truncated === true, names: capture.names, frames: frames, markers: capture.markers});
+	}
+	if (connections.length == 0) {
+		alert("There is no captured data to save.");
+		return;
+	}
+	if (truncated.length > 0 && !confirm("The oldest ticks of " + truncated.join(", ") + " were dropped by the Full resolution ticks setting," +
+			" the file only contains the ticks kept at full resolution. Save anyway?"))
+		return;
+	var session = {format: this.CaptureFormat, version: this.CaptureVersion, created: new Date().toISOString(), connections: connections};
+	this.download("netdbg-" + session.created.replace(/[:.]/g, "-") + ".json", JSON.stringify(session), "application/json");
+}
+
+NetDbg.prototype.download = function(fileName, text, type) {
+	var blob = new Blob([text], {type: type});
+	var link = document.createElement("a");
+	link.href = URL.createObjectURL(blob);
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(link.href);
+}
+
+// Range of frames to export for a connection as {first, last}, or null if there is nothing to export.
+NetDbg.prototype.exportRange = function(content, scope) {
+	var first = 0;
+	var last = this.frameCount(content) - 1;
+	if (scope == "visible") {
+		first = Math.floor(this.currentOffset() / this.frameWidth);
+		last = Math.ceil((this.currentOffset() + content.canvas.width) / this.frameWidth) - 1;
+	} else if (scope == "selection") {
+		var range = this.selectedRange();
+		if (range == null && this.selection < 0)
+			return null;
+		first = range != null ? range.first : this.selection;
+		last = range != null ? range.last : this.selection;
+	}
+	last = Math.min(last, this.frameCount(content) - 1);
+	if (first > last)
+		return null;
+	return {first: first, last: last};
+}
+
+// Exports one row per frame, only the frames kept at full resolution are included. CSV files are written
+// per connection since every connection has its own ghost types, JSON contains all connections.
+NetDbg.prototype.exportFrames = function() {
+	var scope = document.getElementById("exportScope").value;
+	var format = document.getElementById("exportFormat").value;
+	var created = new Date().toISOString();
+	var stamp = created.replace(/[:.]/g, "-");
+	var connections = [];
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		var range = this.exportRange(content, scope);
+		if (range == null)
+			continue;
+		var rows = [];
+		for (var i = Math.max(range.first, content.frameBase); i <= range.last; ++i)
+			rows.push(this.exportFrame(content, i, content.frames[i - content.frameBase]));
+		if (rows.length == 0)
+			continue;
+		if (format == "csv")
+			this.download("netdbg-frames-" + stamp + "-" + this.exportName(content) + ".csv", this.framesToCsv(content, rows), "text/csv");
+		connections.push({host: content.endpoint.host, index: content.index, name: content.capture.name, ghosts: content.names, errors: content.errors, frames: rows});
+	}
+	if (connections.length == 0)
+		alert("There are no frames to export.");
+	else if (format == "json")
+		this.download("netdbg-frames-" + stamp + ".json", JSON.stringify({created: created, scope: scope, connections: connections}, null, 1), "application/json");
+}
+
+NetDbg.prototype.exportName = function(content) {
+	return (content.endpoint.host + "-" + content.capture.name).replace(/[^A-Za-z0-9_-]+/g, "_");
+}
+
+NetDbg.prototype.exportFrame = function(content, index, frame) {
+	var row = {frame: index, serverTick: frame.serverTick, ghosts: [], commandSize: frame.commandSize,
+		discardedPackets: frame.discardedPackets, missing: frame.missing === true, packets: this.packetCount(content, this.snapshotSize(frame)), time: {}, predictionErrors: {}};
+	for (var t = 0; t < frame.snapshot.length; ++t)
+		row.ghosts.push({name: content.names[t], bytes: frame.snapshot[t].size / 8, count: frame.snapshot[t].count, uncompressed: frame.snapshot[t].uncompressed});
+	for (var i = 0; i < this.TimeFields.length; ++i) {
+		var field = this.TimeFields[i];
+		var sum = 0;
+		for (var s = 0; s < frame.time.length; ++s)
+			sum += frame.time[s][field];
+		row.time[field] = frame.time.length > 0 ? this.roundFloat(sum / frame.time.length) : null;
+	}
+	for (var err = 0; err < frame.predictionError.length; ++err)
+		row.predictionErrors[content.errors[err]] = this.roundFloat(frame.predictionError[err]);
+	return row;
+}
+
+// The time samples and prediction errors are sent as 32 bit floats, more digits are just noise.
+NetDbg.prototype.roundFloat = function(value) {
+	return parseFloat(value.toPrecision(7));
+}
+
+NetDbg.prototype.framesToCsv = function(content, rows) {
+	var header = ["frame", "serverTick"];
+	for (var t = 0; t < content.names.length; ++t)
+		header.push(content.names[t] + " bytes", content.names[t] + " count", content.names[t] + " uncompressed");
+	header.push("commandSize", "discardedPackets", "missing", "packets");
+	header = header.concat(this.TimeFields);
+	header = header.concat(content.errors);
+	var lines = [this.csvLine(header)];
+	for (var r = 0; r < rows.length; ++r) {
+		var row = rows[r];
+		var values = [row.frame, row.serverTick];
+		for (var t = 0; t < content.names.length; ++t) {
+			var ghost = row.ghosts[t];
+			if (ghost != undefined)
+				values.push(ghost.bytes, ghost.count, ghost.uncompressed);
+			else
+				values.push("", "", "");
+		}
+		values.push(row.commandSize, row.discardedPackets, row.missing ? 1 : 0, row.packets);
+		for (var i = 0; i < this.TimeFields.length; ++i)
+			values.push(row.time[this.TimeFields[i]]);
+		for (var err = 0; err < content.errors.length; ++err)
+			values.push(row.predictionErrors[content.errors[err]]);
+		lines.push(this.csvLine(values));
+	}
+	return lines.join("\r\n") + "\r\n";
+}
+
+NetDbg.prototype.csvLine = function(values) {
+	var fields = [];
+	for (var i = 0; i < values.length; ++i) {
+		var text = values[i] == undefined ? "" : "" + values[i];
+		if (/[",\r\n]/.test(text))
+			text = '"' + text.replace(/"/g, '""') + '"';
+		fields.push(text);
+	}
+	return fields.join(",");
+}
+
+// Exports the legend stats of every ghost type. For the whole session they include the downsampled
+// history, ranges only include frames kept at full resolution.
+NetDbg.prototype.exportSummary = function() {
+	var scope = document.getElementById("exportScope").value;
+	var format = document.getElementById("exportFormat").value;
+	var created = new Date().toISOString();
+	var stamp = created.replace(/[:.]/g, "-");
+	var lines = [this.csvLine(["host", "connection", "ghostType", "frames", "totalBits", "instances", "bitsPerFrame", "bitsPerEntity"])];
+	var connections = [];
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		var range = this.exportRange(content, scope);
+		if (range == null)
+			continue;
+		var ghosts = this.ghostSummary(content, scope == "session" ? null : range);
+		for (var t = 0; t < ghosts.length; ++t) {
+			var ghost = ghosts[t];
+			lines.push(this.csvLine([content.endpoint.host, content.capture.name, ghost.name, ghost.frames, ghost.totalBits, ghost.instances, ghost.bitsPerFrame, ghost.bitsPerEntity]));
+		}
+		connections.push({host: content.endpoint.host, index: content.index, name: content.capture.name, ghosts: ghosts});
+	}
+	if (connections.length == 0) {
+		alert("There are no frames to export.");
+		return;
+	}
+	if (format == "csv")
+		this.download("netdbg-summary-" + stamp + ".csv", lines.join("\r\n") + "\r\n", "text/csv");
+	else
+		this.download("netdbg-summary-" + stamp + ".json", JSON.stringify({created: created, scope: scope, connections: connections}, null, 1), "application/json");
+}
+
+// Per ghost type totals and averages of a connection, of the whole session when range is null.
+NetDbg.prototype.ghostSummary = function(content, range) {
+	var frames = this.frameCount(content);
+	var sizes = [];
+	var counts = [];
+	if (range == null) {
+		for (var t = 0; t < content.names.length; ++t) {
+			sizes.push(content.total[t*2]);
+			counts.push(content.total[t*2 + 1]);
+		}
+	} else {
+		var first = Math.max(range.first, content.frameBase);
+		frames = Math.max(range.last + 1 - first, 0);
+		var bucket = this.aggregateFrames(content, first, frames);
+		for (var t = 0; t < content.names.length; ++t) {
+			sizes.push(bucket.ghostSum[t] || 0);
+			counts.push(bucket.countSum[t] || 0);
+		}
+	}
+	var ghosts = [];
+	for (var t = 0; t < content.names.length; ++t) {
+		ghosts.push({name: content.names[t], frames: frames, totalBits: sizes[t], instances: counts[t],
+			bitsPerFrame: frames > 0 ? Math.round(sizes[t] / frames) : 0,
+			bitsPerEntity: counts[t] > 0 ? Math.round(sizes[t] / counts[t]) : 0});
+	}
+	return ghosts;
+}
+
+// Compare mode matches the ghost types of two connections by name, so a run recorded before an optimization
+// can be compared with one recorded after it even if ghost types were added or reordered in between. Both
+// are decoded again from their raw packets, which works the same for live, loaded and archived sessions.
+NetDbg.prototype.compareSources = function() {
+	var sources = [];
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		sources.push({label: content.endpoint.displayName + " " + content.capture.name, connection: content.capture});
+	}
+	for (var i = 0; i < this.sessions.length; ++i) {
+		var session = this.sessions[i];
+		for (var c = 0; c < session.connections.length; ++c)
+			sources.push({label: session.name + " " + session.connections[c].name, connection: session.connections[c]});
+	}
+	return sources;
+}
+
+// Fills the two connection lists of the compare panel, keeping the selected connections if they still exist.
+NetDbg.prototype.updateCompareSources = function() {
+	var previous = this.compareList || [];
+	this.compareList = this.compareSources();
+	var selects = [document.getElementById("compareA"), document.getElementById("compareB")];
+	for (var s = 0; s < selects.length; ++s) {
+		var select = selects[s];
+		var selected = previous[select.selectedIndex];
+		while (select.firstChild)
+			select.removeChild(select.firstChild);
+		var index = Math.min(s, this.compareList.length - 1);
+		for (var i = 0; i < this.compareList.length; ++i) {
+			var option = document.createElement("option");
+			option.value = "" + i;
+			option.textContent = this.compareList[i].label;
+			select.appendChild(option);
+			if (selected != undefined && this.compareList[i].connection === selected.connection)
+				index = i;
+		}
+		select.selectedIndex = index;
+	}
+}
+
+// Per ghost type sums, the total snapshot size of every frame and the time samples of a connection.
+NetDbg.prototype.collectCompareStats = function(connection) {
+	var stats = {frames: 0, names: [], ghosts: {}, totals: [], samples: {}};
+	for (var i = 0; i < this.RangeTimeStats.length; ++i)
+		stats.samples[this.RangeTimeStats[i].field] = [];
+	var decoder = new NetDbgDecoder();
+	this.replayCapture(connection, function(data) {
+		var result = decoder.decode(data);
+		if (result == null || result.type != "frames")
+			return;
+		var ghostNames = decoder.connections[result.index].ghosts;
+		for (var f = 0; f < result.frames.length; ++f) {
+			var frame = result.frames[f];
+			var total = 0;
+			for (var t = 0; t < frame.snapshot.length; ++t) {
+				var ghost = stats.ghosts[ghostNames[t]];
+				if (ghost == undefined) {
+					ghost = {size: 0, count: 0, uncompressed: 0};
+					stats.ghosts[ghostNames[t]] = ghost;
+					stats.names.push(ghostNames[t]);
+				}
+				ghost.size += frame.snapshot[t].size;
+				ghost.count += frame.snapshot[t].count;
+				ghost.uncompressed += frame.snapshot[t].uncompressed;
+				total += frame.snapshot[t].size;
+			}
+			for (var s = 0; s < frame.time.length; ++s) {
+				for (var field in stats.samples)
+					stats.samples[field].push(frame.time[s][field]);
+			}
+			stats.totals.push(total);
+			++stats.frames;
+		}
+	});
+	return stats;
+}
+
+// Formats the change from a to b, with the relative change when a is not zero. Changes are colored when
+// lower values are better, green for improvements and red for regressions.
+NetDbg.prototype.createDeltaCell = function(a, b, digits, lowerIsBetter) {
+	var td = this.createTextCell("-");
+	if (a == undefined || b == undefined)
+		return td;
+	var delta = b - a;
+	var text = (delta >= 0 ? "+" : "") + delta.toFixed(digits);
+	if (a != 0)
+		text += " (" + (delta >= 0 ? "+" : "") + (100 * delta / a).toFixed(1) + "%)";
+	td.textContent = text;
+	if (lowerIsBetter && Math.abs(delta) >= Math.pow(10, -digits))
+		td.style.color = delta < 0 ? "#080" : "#c00";
+	return td;
+}
+
+NetDbg.prototype.createCompareRow = function(name, columns, index) {
+	var tr = this.createTableRow([name], index);
+	for (var i = 0; i < columns.length; ++i) {
+		var column = columns[i];
+		tr.appendChild(this.createTextCell(column.a != undefined ? column.a.toFixed(column.digits) : "-"));
+		tr.appendChild(this.createTextCell(column.b != undefined ? column.b.toFixed(column.digits) : "-"));
+		tr.appendChild(this.createDeltaCell(column.a, column.b, column.digits, column.lowerIsBetter));
+	}
+	return tr;
+}
+
+NetDbg.prototype.CompareColors = ["#4363d8", "#f58231"];
+
+// Builds the comparison report of the two connections selected in the compare panel.
+NetDbg.prototype.compareSessions = function() {
+	var a = this.compareList != undefined ? this.compareList[document.getElementById("compareA").selectedIndex] : undefined;
+	var b = this.compareList != undefined ? this.compareList[document.getElementById("compareB").selectedIndex] : undefined;
+	if (a == undefined || b == undefined) {
+		alert("Select two connections to compare.");
+		return;
+	}
+	var statsA = this.collectCompareStats(a.connection);
+	var statsB = this.collectCompareStats(b.connection);
+	if (statsA.frames == 0 || statsB.frames == 0) {
+		alert("'" + (statsA.frames == 0 ? a.label : b.label) + "' has no frames to compare.");
+		return;
+	}
+
+	var report = document.getElementById("compareReport");
+	while (report.firstChild)
+		report.removeChild(report.firstChild);
+	report.style.display = "block";
+	var title = document.createElement("div");
+	title.className = "DetailsTitle";
+	var framesText = function(source, stats) {
+		return " (" + stats.frames + " frames" + (source.connection.truncated === true ? ", oldest ticks dropped by the Full resolution ticks setting" : "") + ")";
+	};
+	title.appendChild(document.createTextNode("Comparing A: " + a.label + framesText(a, statsA) + " with B: " + b.label + framesText(b, statsB)));
+	var close = document.createElement("input");
+	close.type = "button";
+	close.value = "Close";
+	close.style.marginLeft = "10px";
+	close.addEventListener("click", function() { report.style.display = "none"; });
+	title.appendChild(close);
+	report.appendChild(title);
+
+	var table = document.createElement("table");
+	var header = ["Ghost type"];
+	var metrics = ["Avg. bits/frame", "Bits/entity", "Avg. instances", "Uncompressed %"];
+	for (var i = 0; i < metrics.length; ++i)
+		header.push(metrics[i] + " A", "B", "Change");
+	table.appendChild(this.createTableRow(header, -1));
+	var names = statsA.names.slice();
+	for (var i = 0; i < statsB.names.length; ++i) {
+		if (statsA.ghosts[statsB.names[i]] == undefined)
+			names.push(statsB.names[i]);
+	}
+	var ghostColumns = function(stats, name) {
+		var ghost = stats.ghosts[name];
+		if (ghost == undefined)
+			return {};
+		return {bitsPerFrame: ghost.size / stats.frames, bitsPerEntity: ghost.count > 0 ? ghost.size / ghost.count : 0,
+			instances: ghost.count / stats.frames, uncompressed: ghost.count > 0 ? 100 * ghost.uncompressed / ghost.count : 0};
+	};
+	var row = 0;
+	for (var i = 0; i < names.length; ++i) {
+		var ghostA = statsA.ghosts[names[i]];
+		var ghostB = statsB.ghosts[names[i]];
+		if ((ghostA == undefined || ghostA.count == 0) && (ghostB == undefined || ghostB.count == 0))
+			continue;
+		var valuesA = ghostColumns(statsA, names[i]);
+		var valuesB = ghostColumns(statsB, names[i]);
+		table.appendChild(this.createCompareRow(names[i], [
+			{a: valuesA.bitsPerFrame, b: valuesB.bitsPerFrame, digits: 0, lowerIsBetter: true},
+			{a: valuesA.bitsPerEntity, b: valuesB.bitsPerEntity, digits: 0, lowerIsBetter: true},
+			{a: valuesA.instances, b: valuesB.instances, digits: 1},
+			{a: valuesA.uncompressed, b: valuesB.uncompressed, digits: 1, lowerIsBetter: true}], ++row));
+	}
+	var sum = function(values) { var total = 0; for (var i = 0; i < values.length; ++i) total += values[i]; return total; };
+	var totalRow = this.createCompareRow("Total", [{a: sum(statsA.totals) / statsA.frames, b: sum(statsB.totals) / statsB.frames, digits: 0, lowerIsBetter: true}], -1);
+	table.appendChild(totalRow);
+	report.appendChild(table);
+
+	if (statsA.samples.rtt.length > 0 || statsB.samples.rtt.length > 0) {
+		report.appendChild(document.createElement("hr"));
+		table = document.createElement("table");
+		table.appendChild(this.createTableRow(["Time sample", "Median A", "B", "Change", "P95 A", "B", "Change", "Max A", "B", "Change"], -1));
+		var percentile = function(values, fraction) { return values.length > 0 ? this.percentile(values, fraction) : undefined; }.bind(this);
+		for (var i = 0; i < this.RangeTimeStats.length; ++i) {
+			var samplesA = statsA.samples[this.RangeTimeStats[i].field];
+			var samplesB = statsB.samples[this.RangeTimeStats[i].field];
+			table.appendChild(this.createCompareRow(this.RangeTimeStats[i].name, [
+				{a: percentile(samplesA, 0.5), b: percentile(samplesB, 0.5), digits: 2},
+				{a: percentile(samplesA, 0.95), b: percentile(samplesB, 0.95), digits: 2},
+				{a: percentile(samplesA, 1), b: percentile(samplesB, 1), digits: 2}], i+1));
+		}
+		report.appendChild(table);
+	}
+
+	report.appendChild(document.createElement("hr"));
+	var legend = document.createElement("div");
+	var labels = ["A: " + a.label, "B: " + b.label];
+	for (var i = 0; i < labels.length; ++i) {
+		var item = document.createElement("span");
+		item.style.borderLeft = "10px solid " + this.CompareColors[i];
+		item.style.padding = "0 10px 0 4px";
+		item.appendChild(document.createTextNode(labels[i]));
+		legend.appendChild(item);
+	}
+	report.appendChild(legend);
+	var canvas = document.createElement("canvas");
+	canvas.width = Math.max(report.offsetWidth - 20, 800);
+	canvas.height = 200;
+	report.appendChild(canvas);
+	this.drawCompareOverlay(canvas, [statsA.totals, statsB.totals]);
+}
+
+// Draws the total snapshot size per frame of both connections, aligned at their first frame. When there
+// are more frames than pixels every point is the average of the frames sharing a pixel column.
+NetDbg.prototype.drawCompareOverlay = function(canvas, series) {
+	var ctx = canvas.getContext("2d");
+	var length = Math.max(series[0].length, series[1].length);
+	var framesPerPixel = Math.max(Math.ceil(length / canvas.width), 1);
+	var points = [];
+	var maxValue = 0;
+	for (var s = 0; s < series.length; ++s) {
+		var values = [];
+		for (var first = 0; first < series[s].length; first += framesPerPixel) {
+			var end = Math.min(first + framesPerPixel, series[s].length);
+			var sum = 0;
+			for (var i = first; i < end; ++i)
+				sum += series[s][i];
+			values.push(sum / (end - first));
+			maxValue = Math.max(maxValue, sum / (end - first));
+		}
+		points.push(values);
+	}
+	var scale = this.niceScale(maxValue);
+	var height = canvas.height - 20;
+	var pixelsPerPoint = canvas.width / Math.ceil(length / framesPerPixel);
+	ctx.fillStyle = "black";
+	ctx.fillRect(0, 0, canvas.width, canvas.height);
+	ctx.fillStyle = "#333";
+	for (var i = 1; i <= 4; ++i)
+		ctx.fillRect(0, Math.round(height - height * i / 4), canvas.width, 1);
+	for (var s = 0; s < points.length; ++s) {
+		ctx.strokeStyle = this.CompareColors[s];
+		ctx.beginPath();
+		for (var i = 0; i < points[s].length; ++i) {
+			var x = (i + 0.5) * pixelsPerPoint;
+			var y = height - height * points[s][i] / scale;
+			if (i == 0)
+				ctx.moveTo(x, y);
+			else
+				ctx.lineTo(x, y);
+		}
+		ctx.stroke();
+	}
+	ctx.font = '10px sans-serif';
+	ctx.fillStyle = "white";
+	ctx.fillText("Snapshot bits per frame, " + this.formatValue(scale) + " at the top", 5, 12);
+	ctx.fillText("0", 5, canvas.height - 5);
+	ctx.textAlign = "right";
+	ctx.fillText(length + " frames", canvas.width - 5, canvas.height - 5);
+	ctx.textAlign = "left";
+}
+
+NetDbg.prototype.openSession = function(file) {
+	if (file == undefined)
+		return;
+	var reader = new FileReader();
+	reader.addEventListener("load", function() {
+		var session;
+		try {
+			session = JSON.parse(reader.result);
+		} catch (e) {
+			alert("'" + file.name + "' is not a valid NetDbg capture: " + e.message);
+			return;
+		}
+		this.loadContent(session);
+		this.linkCapture = file.name;
+	}.bind(this));
+	reader.readAsText(file);
+}
+
+// Replaces the current data with a capture written by saveSession. The old {names, snapshots}
+// format of snapshots.json is also accepted. Loading a capture disconnects from all games so
+// live data is not mixed with the loaded session, each host in the capture gets an offline endpoint.
+NetDbg.prototype.loadContent = function(session) {
+	if (session.names != undefined && session.snapshots != undefined)
+		session = this.convertLegacyContent(session);
+	if (session.format !== this.CaptureFormat || !(session.version >= 1)) {
+		alert("Unrecognized NetDbg capture format.");
+		return;
+	}
+	if (session.version > this.CaptureVersion) {
+		alert("NetDbg capture version " + session.version + " is newer than the supported version " + this.CaptureVersion + ".");
+		return;
+	}
+	this.reset();
+	for (var c = 0; c < session.connections.length; ++c) {
+		var connection = session.connections[c];
+		var host = connection.host != undefined ? connection.host : "capture";
+		var endpoint = this.findEndpoint(host);
+		if (endpoint == undefined || !endpoint.offline)
+			endpoint = this.addEndpoint(host, true);
+		this.replayCapture(connection, this.receive.bind(this, endpoint));
+		this.markTruncated(endpoint, connection);
+	}
+	this.invalidateLegendStats();
+}
+
+// Passes the packets of a single connection of a capture or session to handler in the order they were
+// received. Frames are base64 strings in capture files and raw buffers in sessions and live connections.
+NetDbg.prototype.replayCapture = function(connection, handler) {
+	var nextName = 0;
+	for (var i = 0; i <= connection.frames.length; ++i) {
+		while (nextName < connection.names.length && connection.names[nextName].at <= i)
+			handler(connection.names[nextName++].packet);
+		if (i < connection.frames.length) {
+			var frame = connection.frames[i];
+			handler(typeof(frame) == "string" ? NetDbgDecoder.decodeBase64(frame) : frame);
+		}
+	}
+	var markers = connection.markers || [];
+	for (var i = 0; i < markers.length; ++i)
+		handler(markers[i]);
+}
+
+// Keeps a capture which was truncated before it was saved or archived marked as truncated, so saving it
+// again still tells the user.
+NetDbg.prototype.markTruncated = function(endpoint, connection) {
+	var content = endpoint.connections[connection.index];
+	if (connection.truncated === true && content != undefined)
+		content.capture.truncated = true;
+}
+
+// Builds a capture from the old snapshots.json layout, which only has ghost names and per ghost type
+// snapshot stats. Each snapshot is encoded as a binary frame without time samples, commands or errors.
+NetDbg.prototype.convertLegacyContent = function(legacy) {
+	var names = JSON.stringify({index: 0, name: "Legacy snapshots", ghosts: legacy.names, errors: []});
+	var frames = [];
+	for (var i = 0; i < legacy.snapshots.length; ++i) {
+		var snapshot = legacy.snapshots[i];
+		var data = new ArrayBuffer(12 + legacy.names.length * 3 * 4 + 4);
+		new Uint32Array(data, 0, 1)[0] = i + 1;
+		var values = new Uint32Array(data, 12);
+		for (var t = 0; t < legacy.names.length && t < snapshot.length; ++t) {
+			values[t*3] = snapshot[t].count;
+			values[t*3 + 1] = snapshot[t].size;
+			values[t*3 + 2] = snapshot[t].uncompressed;
+		}
+		frames.push(NetDbgDecoder.encodeBase64(data));
+	}
+	return {format: this.CaptureFormat, version: this.CaptureVersion, connections: [{index: 0, name: "Legacy snapshots", names: [{at: 0, packet: names}], frames: frames}]};
+}
+
+// Every connect to a game starts a new session, named after the host and the time of the connect.
+NetDbg.prototype.startSession = function(endpoint) {
+	var created = new Date();
+	endpoint.session = {name: endpoint.host + " " + created.toLocaleTimeString(), created: created.toISOString()};
+	this.updateSessionList();
+}
+
+// Moves the packets received from a game into the session list before its panels are removed, so restarting
+// the game does not lose the previous run. Sessions keep the raw packets in the capture layout, showing one
+// decodes it again like opening a capture file.
+NetDbg.prototype.archiveSession = function(endpoint) {
+	var connections = [];
+	var frameCount = 0;
+	for (var con = 0; con < endpoint.connections.length; ++con) {
+		var content = endpoint.connections[con];
+		if (content == undefined)
+			continue;
+		var capture = content.capture;
+		connections.push({host: endpoint.host, index: content.index, name: capture.name, truncated: capture.truncated === true, names: capture.names, frames: capture.frames, markers: capture.markers});
+		frameCount += capture.frames.length;
+	}
+	if (frameCount == 0)
+		return;
+	var info = endpoint.session != undefined ? endpoint.session : {name: endpoint.host, created: new Date().toISOString()};
+	this.lastSessionId = Math.max(Date.now(), this.lastSessionId + 1);
+	var session = {id: this.lastSessionId, name: info.name, created: info.created, frameCount: frameCount, connections: connections};
+	this.sessions.push(session);
+	this.limitSessions();
+	if (this.persistSessions)
+		this.storeSession(session);
+	this.updateSessionList();
+}
+
+// Archived sessions keep all their raw packets, so only the most recent ones are kept, up to a number of
+// sessions and a total size. The newest session is always kept.
+NetDbg.prototype.MaxSessions = 20;
+NetDbg.prototype.MaxSessionBytes = 256 * 1024 * 1024;
+
+NetDbg.prototype.sessionBytes = function(session) {
+	if (session.byteSize == undefined) {
+		session.byteSize = 0;
+		for (var c = 0; c < session.connections.length; ++c) {
+			var frames = session.connections[c].frames;
+			for (var i = 0; i < frames.length; ++i)
+				session.byteSize += typeof(frames[i]) == "string" ? frames[i].length : frames[i].byteLength;
+		}
+	}
+	return session.byteSize;
+}
+
+NetDbg.prototype.limitSessions = function() {
+	var bytes = 0;
+	for (var i = 0; i < this.sessions.length; ++i)
+		bytes += this.sessionBytes(this.sessions[i]);
+	while (this.sessions.length > 1 && (this.sessions.length > this.MaxSessions || bytes > this.MaxSessionBytes)) {
+		var oldest = this.sessions[0];
+		bytes -= this.sessionBytes(oldest);
+		console.log("NetDbg removed the session '" + oldest.name + "' to stay within the session limits.");
+		this.removeSession(oldest);
+	}
+}
+
+// Shows an archived session as an offline endpoint below the live ones, replacing the session shown before.
+// Showing the session which is already shown hides it again.
+NetDbg.prototype.showSession = function(session) {
+	var shown = this.sessionEndpoint != undefined ? this.sessionEndpoint.session : undefined;
+	if (this.sessionEndpoint != undefined)
+		this.removeEndpoint(this.sessionEndpoint);
+	if (session === shown)
+		return;
+	var endpoint = this.addEndpoint(session.connections[0].host, true, session.name);
+	endpoint.session = session;
+	this.sessionEndpoint = endpoint;
+	for (var c = 0; c < session.connections.length; ++c) {
+		this.replayCapture(session.connections[c], this.receive.bind(this, endpoint));
+		this.markTruncated(endpoint, session.connections[c]);
+	}
+	this.invalidateLegendStats();
+	this.updateSessionList();
+}
+
+NetDbg.prototype.renameSession = function(session) {
+	var name = prompt("Session name", session.name);
+	if (name == null || name.trim() == "")
+		return;
+	session.name = name.trim();
+	if (session.id != undefined && this.persistSessions)
+		this.storeSession(session);
+	if (this.sessionEndpoint != undefined && this.sessionEndpoint.session === session) {
+		// Shows the session again to update the endpoint title.
+		this.removeEndpoint(this.sessionEndpoint);
+		this.showSession(session);
+	}
+	this.updateSessionList();
+}
+
+NetDbg.prototype.deleteSession = function(session) {
+	if (!confirm("Delete the session '" + session.name + "'?"))
+		return;
+	this.removeSession(session);
+	this.updateSessionList();
+}
+
+NetDbg.prototype.removeSession = function(session) {
+	if (this.sessionEndpoint != undefined && this.sessionEndpoint.session === session)
+		this.removeEndpoint(this.sessionEndpoint);
+	this.sessions.splice(this.sessions.indexOf(session), 1);
+	if (this.persistSessions)
+		this.withSessionStore("readwrite", function(store) { store.delete(session.id); });
+}
+
+// Rebuilds the session list with the live session of every connected endpoint followed by the archived
+// sessions, oldest first.
+NetDbg.prototype.updateSessionList = function() {
+	var table = document.getElementById("sessionTable");
+	while (table.firstChild)
+		table.removeChild(table.firstChild);
+	var row = 0;
+	for (var i = 0; i < this.endpoints.length; ++i) {
+		var session = this.endpoints[i].session;
+		if (this.endpoints[i].offline || session == undefined)
+			continue;
+		var truncated = this.endpoints[i].connections.some(function(content) { return content != undefined && content.capture.truncated === true; });
+		var tr = this.createTableRow([session.name + " (live)", new Date(session.created).toLocaleString(), truncated ? "truncated" : ""], row++);
+		if (truncated)
+			tr.lastChild.title = this.TruncatedTitle;
+		this.createSessionButton(tr, "Rename", this.renameSession.bind(this, session));
+		table.appendChild(tr);
+	}
+	var shown = this.sessionEndpoint != undefined ? this.sessionEndpoint.session : undefined;
+	for (var i = 0; i < this.sessions.length; ++i) {
+		var session = this.sessions[i];
+		var truncated = session.connections.some(function(connection) { return connection.truncated === true; });
+		var tr = this.createTableRow([session.name, new Date(session.created).toLocaleString(), session.frameCount + " frames" + (truncated ? ", truncated" : "")], row++);
+		if (truncated)
+			tr.lastChild.title = this.TruncatedTitle;
+		tr.firstChild.className = "SessionName";
+		tr.firstChild.title = session === shown ? "Click to hide this session" : "Click to show this session";
+		if (session === shown)
+			tr.firstChild.style.fontWeight = "bold";
+		tr.firstChild.addEventListener("click", this.showSession.bind(this, session));
+		this.createSessionButton(tr, "Rename", this.renameSession.bind(this, session));
+		this.createSessionButton(tr, "Delete", this.deleteSession.bind(this, session));
+		table.appendChild(tr);
+	}
+	document.getElementById("sessionCount").textContent = "" + this.sessions.length;
+}
+
+NetDbg.prototype.TruncatedTitle = "The oldest ticks were dropped by the Full resolution ticks setting, only the ticks kept at full resolution are stored";
+
+NetDbg.prototype.createSessionButton = function(tr, text, action) {
+	var td = document.createElement("td");
+	var button = document.createElement("input");
+	button.type = "button";
+	button.value = text;
+	button.addEventListener("click", action);
+	td.appendChild(button);
+	tr.appendChild(td);
+}
+
+NetDbg.prototype.readSetting = function(key) {
+	try {
+		return localStorage.getItem("netdbg." + key);
+	} catch (e) {
+		return null;
+	}
+}
+
+NetDbg.prototype.writeSetting = function(key, value) {
+	try {
+		localStorage.setItem("netdbg." + key, value);
+	} catch (e) {
+		console.log("NetDbg could not store the setting '" + key + "': " + e.message);
+	}
+}
+
+NetDbg.prototype.readJsonSetting = function(key) {
+	try {
+		return JSON.parse(this.readSetting(key));
+	} catch (e) {
+		return null;
+	}
+}
+
+// Control panel inputs which keep their value between page loads. Lane settings, endpoints, zoom and
+// the budgets and hidden ghost types of each connection are stored separately.
+NetDbg.prototype.PersistedControls = ["showPredictionErrors", "sharedErrorScale", "showTimeScale", "showInterpolationDelay",
+	"showInterpolationTimeScale", "showSnapshotAge", "showCommandAge", "showRTT", "showJitter", "showTickTimeline", "showCompression",
+	"sortLegend", "historyTicks", "archiveBucketTicks", "packetMtu", "packetOverhead", "exportScope", "exportFormat"];
+
+NetDbg.prototype.restoreSettings = function() {
+	var controls = this.readJsonSetting("controls") || {};
+	for (var i = 0; i < this.PersistedControls.length; ++i) {
+		var input = document.getElementById(this.PersistedControls[i]);
+		var value = controls[this.PersistedControls[i]];
+		if (value == undefined)
+			continue;
+		if (input.type == "checkbox")
+			input.checked = value === true;
+		else
+			input.value = value;
+	}
+	var zoom = parseFloat(this.readSetting("zoom"));
+	if (zoom >= this.MinSnapshotWidth && zoom <= this.MaxSnapshotWidth)
+		this.frameWidth = zoom;
+	document.getElementById("controlPanel").addEventListener("change", this.saveControls.bind(this));
+}
+
+NetDbg.prototype.saveControls = function() {
+	var controls = {};
+	for (var i = 0; i < this.PersistedControls.length; ++i) {
+		var input = document.getElementById(this.PersistedControls[i]);
+		controls[this.PersistedControls[i]] = input.type == "checkbox" ? input.checked : input.value;
+	}
+	this.writeSetting("controls", JSON.stringify(controls));
+}
+
+// Adds the endpoints of the last visit, or the host of the connect box on the first visit.
+NetDbg.prototype.restoreEndpoints = function() {
+	var hosts = this.readJsonSetting("hosts");
+	if (!Array.isArray(hosts))
+		hosts = [document.getElementById("connectUIButtonValue").value];
+	for (var i = 0; i < hosts.length; ++i)
+		this.addEndpoint(hosts[i]);
+	if (hosts.length > 0)
+		document.getElementById("connectUIButtonValue").value = hosts[0];
+}
+
+NetDbg.prototype.saveEndpoints = function() {
+	var hosts = [];
+	for (var i = 0; i < this.endpoints.length; ++i) {
+		if (!this.endpoints[i].offline)
+			hosts.push(this.endpoints[i].host);
+	}
+	this.writeSetting("hosts", JSON.stringify(hosts));
+}
+
+// Budgets and hidden ghost types are stored by connection name, e.g. the name of the server world, and by
+// ghost type name, so they apply again when the game is restarted or a capture of it is opened.
+NetDbg.prototype.savedConnectionSettings = function(name) {
+	var all = this.readJsonSetting("connections");
+	return all != null && all[name] != undefined ? all[name] : undefined;
+}
+
+NetDbg.prototype.restoreBudget = function(content, name) {
+	var saved = this.savedConnectionSettings(name);
+	if (saved == undefined)
+		return;
+	content.budgetValue.value = saved.budget.value;
+	content.budgetUnit.value = saved.budget.unit;
+	content.budgetTickRate.value = saved.budget.tickRate;
+}
+
+NetDbg.prototype.saveConnectionSettings = function(content) {
+	var all = this.readJsonSetting("connections") || {};
+	var hidden = [];
+	var ghosts = {};
+	for (var i = 0; i < content.names.length; ++i) {
+		if (content.hiddenGhosts[i])
+			hidden.push(content.names[i]);
+		if (content.ghostBudgetValues[i] != undefined && parseFloat(content.ghostBudgetValues[i].value) > 0)
+			ghosts[content.names[i]] = parseFloat(content.ghostBudgetValues[i].value);
+	}
+	all[content.capture.name] = {hidden: hidden, budget: {value: content.budgetValue.value, unit: content.budgetUnit.value, tickRate: content.budgetTickRate.value, ghosts: ghosts}};
+	this.writeSetting("connections", JSON.stringify(all));
+}
+
+// Links describe a view as the hash of the page url: the hosts to connect to, a capture file or stored
+// session, the zoom and the selected server tick or range of ticks, e.g.
+// netdbg.html#host=localhost%3A8787&zoom=10&tick=48213 or #capture=spike.json&tick=48200-48260.
+NetDbg.prototype.parseLink = function(hash) {
+	var params = new URLSearchParams(hash.replace(/^#/, ""));
+	var link = {hosts: params.getAll("host"), capture: params.get("capture"), session: params.get("session"), zoom: parseFloat(params.get("zoom")), tick: NaN, lastTick: NaN};
+	var ticks = (params.get("tick") || "").split("-");
+	link.tick = parseInt(ticks[0]);
+	if (ticks.length > 1)
+		link.lastTick = parseInt(ticks[1]);
+	return link;
+}
+
+// The selection and the session of a link are applied once the data is available, which for live
+// games can be some time after the page was opened.
+NetDbg.prototype.applyLink = function(hash) {
+	var link = this.parseLink(hash);
+	for (var i = 0; i < link.hosts.length; ++i) {
+		var endpoint = this.findEndpoint(link.hosts[i]);
+		if (endpoint == undefined || endpoint.offline)
+			this.addEndpoint(link.hosts[i]);
+	}
+	if (link.zoom >= this.MinSnapshotWidth && link.zoom <= this.MaxSnapshotWidth)
+		this.frameWidth = link.zoom;
+	this.pendingLink = link;
+	if (link.capture != null)
+		this.openCaptureUrl(link.capture);
+	this.applyLinkSession();
+	this.applyLinkSelection();
+	this.invalidate();
+}
+
+NetDbg.prototype.applyLinkSession = function() {
+	var link = this.pendingLink;
+	if (link == undefined || link.session == null)
+		return;
+	for (var i = 0; i < this.sessions.length; ++i) {
+		if ("" + this.sessions[i].id == link.session) {
+			link.session = null;
+			if (this.sessionEndpoint == undefined || this.sessionEndpoint.session !== this.sessions[i])
+				this.showSession(this.sessions[i]);
+			return;
+		}
+	}
+}
+
+NetDbg.prototype.applyLinkSelection = function() {
+	var link = this.pendingLink;
+	if (link == undefined || !(link.tick >= 0))
+		return;
+	var found = this.findTick(link.tick);
+	if (found == undefined)
+		return;
+	var last = -1;
+	if (link.lastTick > link.tick) {
+		last = this.frameIndexOfTick(found.content, link.lastTick);
+		if (last < 0)
+			return;
+	}
+	link.tick = NaN;
+	this.showFrame(found.content, found.index);
+	if (last > found.index) {
+		this.selectionEnd = last;
+		this.updateDetails();
+		this.invalidate();
+	}
+}
+
+// Captures given by a link are loaded relative to netdbg.html, so they can be put next to it or on a web server.
+NetDbg.prototype.openCaptureUrl = function(url) {
+	var request = new XMLHttpRequest();
+	request.addEventListener("load", function() {
+		// Files opened from disk report status 0.
+		if ((request.status != 200 && request.status != 0) || request.response == null) {
+			alert("Could not open the capture '" + url + "' (" + request.status + ").");
+			return;
+		}
+		this.loadContent(request.response);
+		this.linkCapture = url;
+	}.bind(this));
+	request.addEventListener("error", function() {
+		alert("Could not open the capture '" + url + "'.");
+	});
+	request.open("GET", url);
+	request.responseType = "json";
+	request.send();
+}
+
+NetDbg.prototype.createLink = function() {
+	var params = new URLSearchParams();
+	var hasCapture = this.linkCapture != undefined && this.endpoints.some(function(e) { return e.offline && e !== this.sessionEndpoint; }, this);
+	if (hasCapture)
+		params.set("capture", this.linkCapture);
+	else {
+		for (var i = 0; i < this.endpoints.length; ++i) {
+			if (!this.endpoints[i].offline)
+				params.append("host", this.endpoints[i].host);
+		}
+	}
+	if (this.sessionEndpoint != undefined && this.sessionEndpoint.session.id != undefined)
+		params.set("session", "" + this.sessionEndpoint.session.id);
+	params.set("zoom", "" + this.frameWidth);
+	var content = this.navigationContent();
+	if (content != undefined && this.selection >= 0 && this.selection < this.frameCount(content)) {
+		var range = this.selectedRange();
+		if (range != null)
+			params.set("tick", this.tickOfFrame(content, range.first) + "-" + this.tickOfFrame(content, Math.min(range.last, this.frameCount(content) - 1)));
+		else
+			params.set("tick", "" + this.tickOfFrame(content, this.selection));
+	}
+	return location.href.replace(/#.*$/, "") + "#" + params.toString();
+}
+
+// Puts the link to the current view into the address bar and the clipboard.
+NetDbg.prototype.copyLink = function() {
+	var link = this.createLink();
+	try {
+		history.replaceState(null, "", link);
+	} catch (e) {
+		console.log("NetDbg could not update the page url: " + e.message);
+	}
+	if (navigator.clipboard != undefined)
+		navigator.clipboard.writeText(link).catch(function() { prompt("Link to this view", link); });
+	else
+		prompt("Link to this view", link);
+}
+
+NetDbg.prototype.SessionDatabase = "NetDbgSessions";
+
+// Archived sessions are only written to IndexedDB when "Keep sessions after reload" is checked. The
+// live sessions are not stored, they are archived when the game reconnects or the endpoint is removed.
+NetDbg.prototype.loadStoredSessions = function() {
+	var checkbox = document.getElementById("persistSessions");
+	if (typeof(indexedDB) == "undefined") {
+		checkbox.disabled = true;
+		checkbox.title = "IndexedDB is not available in this browser";
+		this.persistSessions = false;
+		return;
+	}
+	this.persistSessions = this.readSetting("persistSessions") == "true";
+	checkbox.checked = this.persistSessions;
+	if (!this.persistSessions)
+		return;
+	this.withSessionStore("readonly", function(store) {
+		var request = store.getAll();
+		request.addEventListener("success", function() {
+			this.sessions = request.result.concat(this.sessions);
+			for (var i = 0; i < this.sessions.length; ++i)
+				this.lastSessionId = Math.max(this.lastSessionId, this.sessions[i].id);
+			this.limitSessions();
+			this.updateSessionList();
+			this.applyLinkSession();
+		}.bind(this));
+	}.bind(this));
+}
+
+NetDbg.prototype.setPersistSessions = function(persist) {
+	this.persistSessions = persist;
+	this.writeSetting("persistSessions", persist ? "true" : "false");
+	var sessions = this.sessions;
+	this.withSessionStore("readwrite", function(store) {
+		store.clear();
+		for (var i = 0; persist && i < sessions.length; ++i)
+			store.put(sessions[i]);
+	}, function(error) {
+		if (persist && this.makeSessionRoom(error, sessions[sessions.length - 1]))
+			this.setPersistSessions(true);
+	}.bind(this));
+}
+
+NetDbg.prototype.storeSession = function(session) {
+	this.withSessionStore("readwrite", function(store) { store.put(session); }, function(error) {
+		if (this.makeSessionRoom(error, session))
+			this.storeSession(session);
+	}.bind(this));
+}
+
+// When the browser storage is full the oldest session is removed to make room for the newer ones. Returns
+// true if a session was removed and storing should be tried again.
+NetDbg.prototype.makeSessionRoom = function(error, session) {
+	if (error == null || error.name != "QuotaExceededError" || this.sessions.indexOf(session) < 0)
+		return false;
+	if (this.sessions[0] === session) {
+		alert("The session '" + session.name + "' does not fit into the browser storage, it is kept until the page is reloaded.");
+		return false;
+	}
+	console.log("NetDbg removed the session '" + this.sessions[0].name + "' because the browser storage is full.");
+	this.removeSession(this.sessions[0]);
+	this.updateSessionList();
+	return true;
+}
+
+// Opens the session database and calls action with its object store inside a single transaction, and
+// failed with the error if the transaction is aborted.
+NetDbg.prototype.withSessionStore = function(mode, action, failed) {
+	if (typeof(indexedDB) == "undefined")
+		return;
+	var request = indexedDB.open(this.SessionDatabase, 1);
+	request.addEventListener("upgradeneeded", function() {
+		request.result.createObjectStore("sessions", {keyPath: "id"});
+	});
+	request.addEventListener("error", function() {
+		console.log("NetDbg could not open the session database: " + request.error);
+	});
+	request.addEventListener("success", function() {
+		var db = request.result;
+		var transaction = db.transaction("sessions", mode);
+		transaction.addEventListener("complete", function() { db.close(); });
+		// Failed requests abort the transaction, e.g. with a QuotaExceededError when the browser storage is full.
+		transaction.addEventListener("abort", function() {
+			console.log("NetDbg could not update the session database: " + transaction.error);
+			db.close();
+			if (failed != undefined)
+				failed(transaction.error);
+		});
+		action(transaction.objectStore("sessions"));
+	});
+}
+
+NetDbg.prototype.startDrag = function(evt) {
+	this.grabX = evt.clientX;
+	this.dragStarted = false;
+	this.dragCanvas = evt.target;
+	// Shift-drag selects a range of frames instead of panning.
+	this.rangeDrag = evt.shiftKey;
+	if (this.rangeDrag) {
+		this.selection = this.frameIndexAt(evt.clientX, this.dragCanvas);
+		this.selectionEnd = this.selection;
+		this.invalidate();
+	}
+	document.addEventListener("mousemove", this.dragEvt);
+	document.addEventListener("mouseup", this.dragStopEvt);
+}
+NetDbg.prototype.stopDrag = function(evt) {
+	document.removeEventListener("mousemove", this.dragEvt);
+	document.removeEventListener("mouseup", this.dragStopEvt);
+	if (this.rangeDrag) {
+		this.selectionEnd = this.frameIndexAt(evt.clientX, this.dragCanvas);
+		if (this.selectionEnd == this.selection)
+			this.selectionEnd = -1;
+		this.updateDetails();
+		this.invalidate();
+	} else if (!this.dragStarted)
+		this.select(evt);
+}
+NetDbg.prototype.updateDrag = function(evt) {
+	if (this.rangeDrag) {
+		this.selectionEnd = this.frameIndexAt(evt.clientX, this.dragCanvas);
+		this.invalidate();
+		return;
+	}
+	if (!this.dragStarted && Math.abs(this.grabX - evt.clientX) > 3) {
+		this.dragStarted = true;
+		this.offsetX = this.currentOffset();
+		document.getElementById("liveUpdate").checked = false;
+	}
+	if (this.dragStarted) {
+		this.offsetX -= evt.clientX - this.grabX;
+		this.grabX = evt.clientX;
+		if (this.offsetX < 0)
+			this.offsetX = 0;
+		if (this.offsetX > this.maxOffset())
+			this.offsetX = this.maxOffset();
+	}
+	this.invalidate();
+}
+
+NetDbg.prototype.toggleLiveUpdate = function(enable) {
+	if (enable) {
+		this.offsetX = -1;
+		this.invalidate();
+	} else
+		this.offsetX = this.currentOffset();
+}
+
+NetDbg.prototype.createName = function(name) {
+	var div = document.createElement("div");
+	div.style.display = "inline-block";
+	div.style.width = "0";
+	div.style.whiteSpace = "nowrap";
+	div.appendChild(document.createTextNode(name));
+	return div;
+}
+
+NetDbg.prototype.createCount = function(count, uncompressed) {
+	var div = document.createElement("div");
+	div.style.display = "inline-block";
+	div.style.width = "0";
+	div.style.whiteSpace = "nowrap";
+	div.style.marginLeft = "200px";
+	div.appendChild(document.createTextNode("" + count + " (" + uncompressed + ")"));
+	return div;
+}
+NetDbg.prototype.createSize = function(sizeBits, sizeBytes) {
+	var div = document.createElement("div");
+	div.style.display = "inline-block";
+	div.style.width = "0";
+	div.style.whiteSpace = "nowrap";
+	div.style.marginLeft = "400px";
+	div.appendChild(document.createTextNode("" + sizeBits + " (" + sizeBytes + ")"));
+	return div;
+}
+NetDbg.prototype.createInstSize = function(sizeBits, sizeBytes) {
+	var div = document.createElement("div");
+	div.style.display = "inline-block";
+	div.style.width = "0";
+	div.style.whiteSpace = "nowrap";
+	div.style.marginLeft = "200px";
+	div.appendChild(document.createTextNode("" + sizeBits + " (" + sizeBytes + ")"));
+	return div;
+}
+NetDbg.prototype.alternateColorHighlighting = function(element, index) {
+	element.style.backgroundColor = index % 2 === 0 ? "white" : "#efefef";
+}
+
+NetDbg.prototype.matchesNameFilter = function(name) {
+	return this.nameFilter == "" || ("" + name).toLowerCase().indexOf(this.nameFilter) >= 0;
+}
+
+// Filters the legend, the details and the analysis tables by ghost type or error name. The graph is not
+// affected, use the legend to hide ghost types from it.
+NetDbg.prototype.updateNameFilter = function(text) {
+	this.nameFilter = text.trim().toLowerCase();
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		if (content == undefined)
+			continue;
+		for (var i = 0; i < content.legendItems.length; ++i)
+			content.legendItems[i].style.display = this.matchesNameFilter(content.names[i]) ? "" : "none";
+		this.updateErrorTable(content);
+		this.updateCompressionTable(content);
+	}
+	this.updateDetails();
+}
+
+// The connection the keyboard navigates, the one under the mouse or else the first one shown.
+NetDbg.prototype.navigationContent = function() {
+	if (this.hoverContent != undefined && this.content.indexOf(this.hoverContent) >= 0)
+		return this.hoverContent;
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		if (content != undefined && content.container.style.display != "none" && this.frameCount(content) > 0)
+			return content;
+	}
+	return undefined;
+}
+
+// Left and right step the selected frame, page up and down move it by the width of the view, home
+// selects the first frame, end follows the live data again and space toggles live update.
+NetDbg.prototype.onKeyDown = function(evt) {
+	var target = evt.target;
+	if (target.tagName == "INPUT" || target.tagName == "SELECT" || target.tagName == "TEXTAREA" || target.isContentEditable)
+		return;
+	if (evt.ctrlKey || evt.metaKey || evt.altKey)
+		return;
+	var liveUpdate = document.getElementById("liveUpdate");
+	if (evt.key == " " || evt.key == "End") {
+		liveUpdate.checked = evt.key == "End" ? true : !liveUpdate.checked;
+		this.toggleLiveUpdate(liveUpdate.checked);
+		evt.preventDefault();
+		return;
+	}
+	var content = this.navigationContent();
+	if (content == undefined)
+		return;
+	var count = this.frameCount(content);
+	var page = Math.max(Math.floor(content.container.offsetWidth / this.frameWidth), 1);
+	// Without a selection the steps start from the frame in the middle of the view.
+	var current = this.selection >= 0 ? this.selection : Math.floor((this.currentOffset() + content.container.offsetWidth / 2) / this.frameWidth);
+	var index;
+	if (evt.key == "ArrowLeft")
+		index = current - 1;
+	else if (evt.key == "ArrowRight")
+		index = current + 1;
+	else if (evt.key == "PageUp")
+		index = current - page;
+	else if (evt.key == "PageDown")
+		index = current + page;
+	else if (evt.key == "Home")
+		index = content.frameBase;
+	else
+		return;
+	// Downsampled frames have no details to show, so the selection stops at the first full resolution frame.
+	index = Math.min(Math.max(index, content.frameBase), count - 1);
+	if (index < content.frameBase)
+		return;
+	evt.preventDefault();
+	this.revealFrame(content, index);
+}
+
+// Selects a frame and only scrolls as far as needed to bring it into view, unlike showFrame.
+NetDbg.prototype.revealFrame = function(content, index) {
+	document.getElementById("liveUpdate").checked = false;
+	var offset = this.currentOffset();
+	var width = content.container.offsetWidth;
+	var x = index * this.frameWidth;
+	if (x < offset)
+		offset = x;
+	else if (x + this.frameWidth > offset + width)
+		offset = x + this.frameWidth - width;
+	this.offsetX = Math.min(Math.max(offset, 0), this.maxOffset());
+	this.selectFrame(index);
+}
+
+// Index of the frame of a server tick, or of the next frame received after it. Ticks in the downsampled
+// history are located through the archive buckets, which cover consecutive ticks since the decoder fills
+// gaps with missing frames. Returns -1 if the tick is not in the session.
+NetDbg.prototype.frameIndexOfTick = function(content, tick) {
+	var frames = content.frames;
+	if (frames.length == 0 || tick > frames[frames.length - 1].serverTick)
+		return -1;
+	if (tick >= frames[0].serverTick) {
+		var lo = 0;
+		var hi = frames.length - 1;
+		while (lo < hi) {
+			var mid = (lo + hi) >> 1;
+			if (frames[mid].serverTick < tick)
+				lo = mid + 1;
+			else
+				hi = mid;
+		}
+		return content.frameBase + lo;
+	}
+	for (var index = 0; index * content.archiveSize < content.frameBase; ++index) {
+		var bucket = this.getBucket(content, content.archiveSize, index);
+		if (bucket.count > 0 && tick < bucket.serverTick + bucket.count)
+			return tick < bucket.serverTick ? (index == 0 ? -1 : bucket.first) : bucket.first + tick - bucket.serverTick;
+	}
+	return -1;
+}
+
+// Scrolls to and selects the frame of a server tick in the first shown connection which has it.
+NetDbg.prototype.gotoTick = function(value) {
+	var tick = parseInt(value);
+	if (!(tick >= 0))
+		return;
+	var found = this.findTick(tick);
+	if (found != undefined)
+		this.showFrame(found.content, found.index);
+	else
+		alert("Server tick " + tick + " is not part of any connection shown.");
+}
+
+// The first shown connection which has a server tick, as {content, index}.
+NetDbg.prototype.findTick = function(tick) {
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		if (content == undefined || content.container.style.display == "none")
+			continue;
+		var index = this.frameIndexOfTick(content, tick);
+		if (index >= 0)
+			return {content: content, index: index};
+	}
+	return undefined;
+}
+
+// Server tick of a frame, frames in the downsampled history are located through their bucket.
+NetDbg.prototype.tickOfFrame = function(content, index) {
+	var frame = this.frameAt(content, index);
+	if (frame != undefined)
+		return frame.serverTick;
+	var bucket = this.getBucket(content, content.archiveSize, Math.floor(index / content.archiveSize));
+	return bucket.serverTick + index - bucket.first;
+}
+
+NetDbg.prototype.select = function(evt) {
+	this.selectFrame(this.frameIndexAt(evt.clientX, evt.target));
+}
+
+// Index of the frame under the horizontal client position on a connection canvas.
+NetDbg.prototype.frameIndexAt = function(clientX, canvas) {
+	var offset = clientX;
+	for (var p = canvas; p; p = p.offsetParent) {
+		offset -= p.offsetLeft;
+	}
+	offset += this.currentOffset();
+	return Math.max(Math.floor(offset / this.frameWidth), 0);
+}
+
+NetDbg.prototype.selectFrame = function(index) {
+	this.selection = index;
+	this.selectionEnd = -1;
+	this.updateDetails();
+	this.invalidate();
+}
+
+// Returns the selected range as {first, last} with both ends included, or null if at most one frame is selected.
+NetDbg.prototype.selectedRange = function() {
+	if (this.selection < 0 || this.selectionEnd < 0 || this.selectionEnd == this.selection)
+		return null;
+	return {first: Math.min(this.selection, this.selectionEnd), last: Math.max(this.selection, this.selectionEnd)};
+}
+
+NetDbg.prototype.updateDetails = function() {
+	for (var con = 0; con < this.content.length; ++con) {
+		var content = this.content[con];
+		if (content == undefined)
+			continue;
+		var descr = content.details;
+		while (descr.firstChild)
+			descr.removeChild(descr.firstChild);
+		var range = this.selectedRange();
+		if (range != null) {
+			this.createRangeDetails(content, descr, range.first, range.last);
+			continue;
+		}
+		var frame = this.frameAt(content, this.selection);
+		if (frame == undefined && this.selection >= 0 && this.selection < content.frameBase) {
+			this.createArchivedDetails(content, descr, this.getBucket(content, content.archiveSize, Math.floor(this.selection / content.archiveSize)));
+		} else if (frame != undefined) {
+			var div = document.createElement("div");
+			descr.appendChild(div);
+			var tick = document.createElement("div");
+			descr.appendChild(tick);
+			var age = document.createElement("div");
+			descr.appendChild(age);
+			var snapshots = document.createElement("div");
+			descr.appendChild(snapshots);
+			var commands = document.createElement("div");
+			descr.appendChild(commands);
+			var discard = document.createElement("div");
+			descr.appendChild(discard);
+			var totalSize = 0;
+
+			descr.appendChild(document.createElement("hr"));
+			var headerDiv = document.createElement("div");
+			headerDiv.style.fontWeight = "bold";
+			var nameHead = this.createName("Ghost Type");
+			headerDiv.appendChild(nameHead);
+
+			var sizeHead = this.createSize("Total size bits", "bytes");
+			headerDiv.appendChild(sizeHead);
+
+			var countHead = this.createCount("Instances", "Uncompressed");
+			headerDiv.appendChild(countHead);
+
+			var isizeHead = this.createInstSize("Instance avg. size bits", "bytes");
+			headerDiv.appendChild(isizeHead);
+
+			descr.appendChild(headerDiv);
+			for (var i = 0; i < frame.snapshot.length; ++i) {
+				var type = frame.snapshot[i];
+				if (type.count == 0 || content.hiddenGhosts[i])
+					continue;
+
+				var sectionDiv = document.createElement("div");
+				this.alternateColorHighlighting(sectionDiv, i+1);
+
+				var name = this.createName(content.names[i]);
+				sectionDiv.appendChild(name);
+
+				var size = this.createSize(type.size, Math.round(type.size / 8));
+				sectionDiv.appendChild(size);
+
+				var count = this.createCount(type.count, type.uncompressed);
+				sectionDiv.appendChild(count);
+
+				var isize = this.createInstSize(Math.round(type.size / type.count), Math.round(type.size / (8*type.count)));
+				sectionDiv.appendChild(isize);
+
+				if (this.matchesNameFilter(content.names[i]))
+					descr.appendChild(sectionDiv);
+				totalSize += type.size;
+			}
+			if (frame.predictionError != undefined) {
+
+				var errorCount = 0;
+				var table = document.createElement("table");
+				for (var err = 0; err < content.errors.length; ++err) {
+					if (content.enabledErrors[err] && this.matchesNameFilter(content.errors[err])) {
+						errorCount++;
+						var sectionTr = document.createElement("tr");
+						this.alternateColorHighlighting(sectionTr, errorCount);
+
+						var nameTd = document.createElement("td");
+						nameTd.textContent = "" + content.errors[err];
+						nameTd.style.minWidth = "200px";
+						nameTd.style.padding = "0px 40px 0px 0px";
+						sectionTr.appendChild(nameTd);
+
+						var errorTd = document.createElement("td");
+						errorTd.textContent = frame.predictionError[err];
+						nameTd.style.minWidth = "100px";
+						errorTd.style.padding = "0px 40px 0px 0px";
+						sectionTr.appendChild(errorTd);
+
+						table.appendChild(sectionTr);
+					}
+				}
+
+				// Only show the Prediction errors if we actually have some.
+				if(errorCount !== 0)
+				{
+					descr.appendChild(document.createElement("hr"));
+
+					var titleDiv = document.createElement("div");
+					titleDiv.className = "DetailsTitle";
+					titleDiv.style.fontWeight = "bold";
+					titleDiv.appendChild(document.createTextNode("Prediction errors"));
+					descr.appendChild(titleDiv);
+
+					descr.appendChild(table);
+				}
+			}
+
+			var frameBucket = this.createBucket(this.selection);
+			this.addFrameToBucket(frameBucket, frame);
+			this.createRpcTable(content, descr, frameBucket);
+
+			var avgCommandAge = 0;
+			var avgTimeScale = 0;
 			var avgInterpolation = 0;
 			var avgInterpolationScale = 0;
 			var avgRTT = 0;
 			var avgJitter = 0;
 			var avgSnapshotAgeMin = 0;
 			var avgSnapshotAgeMax = 0;
-			for (var t = 0; t < content.frames[this.selection].time.length; ++t) {
-				avgCommandAge += content.frames[this.selection].time[t].commandAge / content.frames[this.selection].time.length;
-				avgTimeScale += content.frames[this.selection].time[t].scale / content.frames[this.selection].time.length;
-				avgInterpolation += content.frames[this.selection].time[t].interpolation / content.frames[this.selection].time.length;
-				avgInterpolationScale += content.frames[this.selection].time[t].interpolationScale / content.frames[this.selection].time.length;
-				avgRTT += content.frames[this.selection].time[t].rtt / content.frames[this.selection].time.length;
-				avgJitter += content.frames[this.selection].time[t].jitter / content.frames[this.selection].time.length;
-				avgSnapshotAgeMin += content.frames[this.selection].time[t].snapshotAgeMin / content.frames[this.selection].time.length;
-				avgSnapshotAgeMax += content.frames[this.selection].time[t].snapshotAgeMax / content.frames[this.selection].time.length;
+			for (var t = 0; t < frame.time.length; ++t) {
+				avgCommandAge += frame.time[t].commandAge / frame.time.length;
+				avgTimeScale += frame.time[t].scale / frame.time.length;
+				avgInterpolation += frame.time[t].interpolation / frame.time.length;
+				avgInterpolationScale += frame.time[t].interpolationScale / frame.time.length;
+				avgRTT += frame.time[t].rtt / frame.time.length;
+				avgJitter += frame.time[t].jitter / frame.time.length;
+				avgSnapshotAgeMin += frame.time[t].snapshotAgeMin / frame.time.length;
+				avgSnapshotAgeMax += frame.time[t].snapshotAgeMax / frame.time.length;
 			}
 
 			var titleText = "Network frame " + this.selection;
@@ -522,39 +3088,363 @@ NetDbg.prototype.select = function(evt) {
 			titleDiv.appendChild(document.createTextNode(titleText));
 			div.appendChild(titleDiv);
 
-			var tickText = "Server tick " + content.frames[this.selection].serverTick;
-			tickText += " (" + (this.selection>0?(content.frames[this.selection].serverTick - content.frames[this.selection-1].serverTick):0) + ")";
-			tickText += " Time scale " + avgTimeScale.toFixed(2);
-			tick.appendChild(document.createTextNode(tickText));
+			var prevFrame = this.frameAt(content, this.selection-1);
+			var tickText = "Server tick " + frame.serverTick;
+			tickText += " (" + (prevFrame!=undefined?(frame.serverTick - prevFrame.serverTick):0) + ")";
+			tickText += " Time scale " + avgTimeScale.toFixed(2);
+			if (frame.missing)
+				tickText += " Not received, no stats for this tick";
+			tick.appendChild(document.createTextNode(tickText));
+
+			//var ageText = "Snapshot age " + frame.snapshotAge.toFixed(2);
+			var ageText = "Snapshot age " + avgSnapshotAgeMin + " - " + avgSnapshotAgeMax;
+			ageText += " Interpolation delay " + avgInterpolation.toFixed(2);
+			ageText += " Interpolation Scale " + avgInterpolationScale.toFixed(2);
+			ageText += " Command age " + avgCommandAge.toFixed(2);
+			ageText += " RTT " + avgRTT.toFixed(2) + " +/- " + avgJitter.toFixed(2);
+			age.appendChild(document.createTextNode(ageText));
+
+			var snapText = "Snapshot ticks [";
+			for (var i = 0; i < frame.snapshotTicks.length; ++i) {
+				snapText += (i>0?", ":"") + frame.snapshotTicks[i] + " (" + this.formatTickOffset(frame.snapshotTicks[i] - frame.serverTick) + ")";
+			}
+			snapText += "] ";
+			snapText += Math.round(totalSize / 8) + " bytes (" + totalSize + " bits)";
+			if (this.snapshotSize(frame) > 0)
+				snapText += ", " + this.packetText(content, this.snapshotSize(frame));
+			snapshots.appendChild(document.createTextNode(snapText));
+
+			var cmdText = "Command ticks [";
+			var lateCommands = 0;
+			var repeatedCommands = 0;
+			for (var i = 0; i < frame.commandTicks.length; ++i) {
+				cmdText += (i>0?", ":"") + frame.commandTicks[i] + " (" + this.formatTickOffset(frame.commandTicks[i] - frame.serverTick) + ")";
+				if (frame.commandTicks[i] < frame.serverTick)
+					++lateCommands;
+				if (frame.repeatedCommands != undefined && frame.repeatedCommands[i])
+					++repeatedCommands;
+			}
+			cmdText += "] " + frame.commandSize + " bytes";
+			if (lateCommands > 0)
+				cmdText += ", " + lateCommands + " late";
+			if (repeatedCommands > 0)
+				cmdText += ", " + repeatedCommands + " repeated";
+			commands.appendChild(document.createTextNode(cmdText));
+			if (frame.discardedPackets > 0) {
+				discard.appendChild(document.createTextNode("Discarded " + frame.discardedPackets + " packets"))
+			}
+		}
+	}
+}
+
+// Older frames are only kept as aggregated buckets, so only averages and maximums can be shown for them.
+NetDbg.prototype.createArchivedDetails = function(content, descr, bucket) {
+	var titleDiv = document.createElement("div");
+	titleDiv.className = "DetailsTitle";
+	titleDiv.style.fontWeight = "bold";
+	titleDiv.appendChild(document.createTextNode("Network frames " + bucket.first + " - " + (bucket.first + bucket.count - 1) + " (downsampled history)"));
+	descr.appendChild(titleDiv);
+
+	var tickText = "Server ticks " + bucket.serverTick + " - " + (bucket.serverTick + bucket.count - 1);
+	tickText += " Snapshot " + Math.round(bucket.totalSum / (8 * bucket.count)) + " bytes avg, " + Math.round(bucket.totalMax / 8) + " bytes max";
+	tickText += " Commands " + (bucket.commandSum / bucket.count).toFixed(2) + " bytes avg";
+	descr.appendChild(this.createTextDiv(tickText));
+	var offsetText = this.tickOffsetText(bucket);
+	if (offsetText != "")
+		descr.appendChild(this.createTextDiv(offsetText));
+	if (bucket.time.rtt.count > 0) {
+		var rtt = bucket.time.rtt;
+		var jitter = bucket.time.jitter;
+		descr.appendChild(this.createTextDiv("RTT " + rtt.min.toFixed(2) + " - " + rtt.max.toFixed(2) + " Jitter " + jitter.min.toFixed(2) + " - " + jitter.max.toFixed(2)));
+	}
+	if (bucket.discardedSum > 0)
+		descr.appendChild(this.createTextDiv("Discarded " + bucket.discardedSum + " packets"));
+	if (bucket.missingSum > 0)
+		descr.appendChild(this.createTextDiv(bucket.missingSum + " ticks not received"));
+
+	descr.appendChild(document.createElement("hr"));
+	var headerDiv = document.createElement("div");
+	headerDiv.style.fontWeight = "bold";
+	headerDiv.appendChild(this.createName("Ghost Type"));
+	headerDiv.appendChild(this.createSize("Avg. size bits", "max"));
+	headerDiv.appendChild(this.createCount("Avg. instances", "uncompressed"));
+	descr.appendChild(headerDiv);
+	for (var i = 0; i < bucket.ghostSum.length; ++i) {
+		if (bucket.countSum[i] == 0 || content.hiddenGhosts[i])
+			continue;
+		var sectionDiv = document.createElement("div");
+		this.alternateColorHighlighting(sectionDiv, i+1);
+		sectionDiv.appendChild(this.createName(content.names[i]));
+		sectionDiv.appendChild(this.createSize(Math.round(bucket.ghostSum[i] / bucket.count), bucket.ghostMax[i]));
+		sectionDiv.appendChild(this.createCount((bucket.countSum[i] / bucket.count).toFixed(1), (bucket.uncompressedSum[i] / bucket.count).toFixed(1)));
+		descr.appendChild(sectionDiv);
+	}
+	this.createRpcTable(content, descr, bucket);
+}
+
+// Time sample fields shown with min/avg/p95/max for a selected range.
+NetDbg.prototype.RangeTimeStats = [
+	{field: "rtt", name: "RTT"},
+	{field: "jitter", name: "Jitter"},
+	{field: "commandAge", name: "Command age"},
+	{field: "snapshotAgeMin", name: "Snapshot age (min)"},
+	{field: "snapshotAgeMax", name: "Snapshot age (max)"},
+	{field: "interpolation", name: "Interpolation delay"}
+];
+
+// Aggregate statistics for a range of frames. Only frames kept at full resolution are included, the
+// percentiles need the individual samples.
+NetDbg.prototype.createRangeDetails = function(content, descr, first, last) {
+	var archived = Math.max(Math.min(content.frameBase, last + 1) - first, 0);
+	first = Math.max(first, content.frameBase);
+	last = Math.min(last, this.frameCount(content) - 1);
+	var titleDiv = document.createElement("div");
+	titleDiv.className = "DetailsTitle";
+	titleDiv.style.fontWeight = "bold";
+	titleDiv.appendChild(document.createTextNode("Network frames " + first + " - " + last));
+	descr.appendChild(titleDiv);
+	if (archived > 0)
+		descr.appendChild(this.createTextDiv(archived + " selected frames are only kept downsampled and are not included."));
+	if (first > last)
+		return;
+
+	var count = last - first + 1;
+	var bucket = this.aggregateFrames(content, first, count);
+	var samples = {};
+	for (var i = 0; i < this.RangeTimeStats.length; ++i)
+		samples[this.RangeTimeStats[i].field] = [];
+	var errorCount = [];
+	var errorSum = [];
+	for (var i = first; i <= last; ++i) {
+		var frame = content.frames[i - content.frameBase];
+		for (var s = 0; s < frame.time.length; ++s) {
+			for (var f in samples)
+				samples[f].push(frame.time[s][f]);
+		}
+		for (var err = 0; err < frame.predictionError.length; ++err) {
+			if (errorCount[err] == undefined) {
+				errorCount[err] = 0;
+				errorSum[err] = 0;
+			}
+			if (frame.predictionError[err] > 0) {
+				++errorCount[err];
+				errorSum[err] += frame.predictionError[err];
+			}
+		}
+	}
+
+	var tickText = "Server ticks " + content.frames[first - content.frameBase].serverTick + " - " + content.frames[last - content.frameBase].serverTick + " (" + count + " frames)";
+	tickText += " Snapshot " + Math.round(bucket.totalSum / 8) + " bytes total, " + Math.round(bucket.totalSum / (8 * count)) + " bytes avg, " + Math.round(bucket.totalMax / 8) + " bytes max";
+	tickText += " Commands " + bucket.commandSum + " bytes total";
+	descr.appendChild(this.createTextDiv(tickText));
+	descr.appendChild(this.createTextDiv("Discarded " + bucket.discardedSum + " packets, " + bucket.missingSum + " ticks not received"));
+
+	descr.appendChild(document.createElement("hr"));
+	var table = document.createElement("table");
+	table.appendChild(this.createTableRow(["Ghost Type", "Total bits", "Avg. bits/frame", "Max bits", "Instances", "Uncompressed", "Bits/entity"], -1));
+	var row = 0;
+	for (var t = 0; t < bucket.ghostSum.length; ++t) {
+		if (bucket.countSum[t] == 0 || content.hiddenGhosts[t] || !this.matchesNameFilter(content.names[t]))
+			continue;
+		table.appendChild(this.createTableRow([content.names[t], bucket.ghostSum[t], Math.round(bucket.ghostSum[t] / count), bucket.ghostMax[t],
+			bucket.countSum[t], (100 * bucket.uncompressedSum[t] / bucket.countSum[t]).toFixed(1) + "%",
+			Math.round(bucket.ghostSum[t] / bucket.countSum[t])], ++row));
+	}
+	descr.appendChild(table);
+	this.createRpcTable(content, descr, bucket);
+
+	if (samples.rtt.length > 0) {
+		descr.appendChild(document.createElement("hr"));
+		table = document.createElement("table");
+		table.appendChild(this.createTableRow(["Time sample", "Min", "Avg", "P95", "Max"], -1));
+		for (var i = 0; i < this.RangeTimeStats.length; ++i) {
+			var values = samples[this.RangeTimeStats[i].field];
+			var stat = bucket.time[this.RangeTimeStats[i].field];
+			table.appendChild(this.createTableRow([this.RangeTimeStats[i].name, stat.min.toFixed(2), (stat.sum / stat.count).toFixed(2),
+				this.percentile(values, 0.95).toFixed(2), stat.max.toFixed(2)], i+1));
+		}
+		descr.appendChild(table);
+	}
+
+	var errorRows = [];
+	for (var err = 0; err < content.errors.length; ++err) {
+		if (content.enabledErrors[err] && errorCount[err] > 0 && this.matchesNameFilter(content.errors[err])) {
+			errorRows.push(this.createTableRow([content.errors[err], errorCount[err], (errorSum[err] / errorCount[err]).toFixed(4),
+				bucket.predictionErrorMax[err].toFixed(4)], errorRows.length+1));
+		}
+	}
+	if (errorRows.length > 0) {
+		descr.appendChild(document.createElement("hr"));
+		table = document.createElement("table");
+		table.appendChild(this.createTableRow(["Prediction error", "Frames with error", "Avg", "Max"], -1));
+		for (var i = 0; i < errorRows.length; ++i)
+			table.appendChild(errorRows[i]);
+		descr.appendChild(table);
+	}
+}
+
+// Number and size of the rpcs of each type sent and received in a bucket, types without traffic are skipped.
+NetDbg.prototype.createRpcTable = function(content, descr, bucket) {
+	var rows = [];
+	for (var r = 0; r < bucket.rpcSentSum.length; ++r) {
+		if (bucket.rpcSentSum[r] + bucket.rpcReceivedSum[r] == 0)
+			continue;
+		rows.push(this.createTableRow([content.rpcs[r], bucket.rpcSentSum[r], bucket.rpcSentBytes[r], bucket.rpcReceivedSum[r], bucket.rpcReceivedBytes[r]], rows.length+1));
+	}
+	if (rows.length == 0)
+		return;
+	descr.appendChild(document.createElement("hr"));
+	var table = document.createElement("table");
+	table.appendChild(this.createTableRow(["RPC type", "Sent", "Sent bytes", "Received", "Received bytes"], -1));
+	for (var i = 0; i < rows.length; ++i)
+		table.appendChild(rows[i]);
+	descr.appendChild(table);
+}
+
+// Creates a table row with the padding used by the details tables, a negative index creates a header row.
+NetDbg.prototype.createTableRow = function(cells, index) {
+	var tr = document.createElement("tr");
+	if (index < 0)
+		tr.style.fontWeight = "bold";
+	else
+		this.alternateColorHighlighting(tr, index);
+	for (var i = 0; i < cells.length; ++i)
+		tr.appendChild(this.createTextCell(cells[i]));
+	return tr;
+}
+
+// Nearest rank percentile of an unsorted list of values.
+NetDbg.prototype.percentile = function(values, fraction) {
+	var sorted = values.slice().sort(function(a, b) { return a - b; });
+	return sorted[Math.max(Math.ceil(fraction * sorted.length) - 1, 0)];
+}
+
+NetDbg.prototype.hover = function(content, evt) {
+	this.hoverContent = content;
+	this.hoverX = evt.clientX;
+	this.hoverY = evt.clientY;
+	this.updateTooltip();
+}
 
-			//var ageText = "Snapshot age " + content.frames[this.selection].snapshotAge.toFixed(2);
-			var ageText = "Snapshot age " + avgSnapshotAgeMin + " - " + avgSnapshotAgeMax;
-			ageText += " Interpolation delay " + avgInterpolation.toFixed(2);
-			ageText += " Interpolation Scale " + avgInterpolationScale.toFixed(2);
-			ageText += " Command age " + avgCommandAge.toFixed(2);
-			ageText += " RTT " + avgRTT.toFixed(2) + " +/- " + avgJitter.toFixed(2);
-			age.appendChild(document.createTextNode(ageText));
+NetDbg.prototype.hideTooltip = function() {
+	this.hoverContent = undefined;
+	this.tooltip.style.display = "none";
+}
 
-			var snapText = "Snapshot ticks [";
-			for (var i = 0; i < content.frames[this.selection].snapshotTicks.length; ++i) {
-				snapText += i>0?", ":"" + content.frames[this.selection].snapshotTicks[i];
-			}
-			snapText += "] ";
-			snapText += Math.round(totalSize / 8) + " bytes (" + totalSize + " bits)";
-			snapshots.appendChild(document.createTextNode(snapText));
+// Shows the values of the frame, or bucket of frames when zoomed out, under the cursor. Unlike clicking
+// this does not change the selection.
+NetDbg.prototype.updateTooltip = function() {
+	var content = this.hoverContent;
+	var layout = content.layout;
+	if (layout == undefined || this.content.indexOf(content) < 0) {
+		this.hideTooltip();
+		return;
+	}
+	var index = this.frameIndexAt(this.hoverX, content.canvas);
+	var bucketSize = this.bucketSize();
+	if (index < content.frameBase)
+		bucketSize = Math.max(bucketSize, content.archiveSize);
+	var bucket;
+	if (bucketSize == 1) {
+		var frame = this.frameAt(content, index);
+		if (frame != undefined) {
+			bucket = this.createBucket(index);
+			this.addFrameToBucket(bucket, frame);
+		}
+	} else if (index < this.frameCount(content))
+		bucket = this.getBucket(content, bucketSize, Math.floor(index / bucketSize));
+	if (bucket == undefined || bucket.count == 0) {
+		this.tooltip.style.display = "none";
+		return;
+	}
 
-			var cmdText = "Command ticks [";
-			for (var i = 0; i < content.frames[this.selection].commandTicks.length; ++i) {
-				cmdText += i>0?", ":"" + content.frames[this.selection].commandTicks[i];
-			}
-			cmdText += "] " + content.frames[this.selection].commandSize + " bytes";
-			commands.appendChild(document.createTextNode(cmdText));
-			if (content.frames[this.selection].discardedPackets > 0) {
-				discard.appendChild(document.createTextNode("Discarded " + content.frames[this.selection].discardedPackets + " packets"))
+	var lines = [];
+	if (bucket.count == 1)
+		lines.push("Server tick " + bucket.serverTick);
+	else
+		lines.push("Server ticks " + bucket.serverTick + " - " + (bucket.serverTick + bucket.count - 1) + " (avg. of " + bucket.count + " frames)");
+	lines.push("Snapshot " + Math.round(bucket.totalSum / (8 * bucket.count)) + " bytes" + (bucket.count > 1 ? ", max " + Math.round(bucket.totalMax / 8) : ""));
+	if (bucket.totalMax > 0)
+		lines.push((bucket.count > 1 ? "Largest snapshot " : "") + this.packetText(content, bucket.totalMax));
+
+	// Find the ghost type whose part of the stacked column is under the cursor.
+	var y = this.hoverY - content.canvas.getBoundingClientRect().top;
+	if (y < layout.snapshotHeight) {
+		var value = (layout.snapshotHeight - y) / layout.byteScale;
+		var total = 0;
+		for (var t = 0; t < bucket.ghostSum.length; ++t) {
+			if (content.hiddenGhosts[t] || bucket.ghostSum[t] == 0)
+				continue;
+			total += bucket.ghostSum[t] / bucket.count;
+			if (value < total) {
+				var count = bucket.countSum[t] / bucket.count;
+				var line = content.names[t] + ": " + Math.round(bucket.ghostSum[t] / (8 * bucket.count)) + " bytes, " +
+					(bucket.count > 1 ? count.toFixed(1) : count) + " instances";
+				if (bucket.countSum[t] > 0)
+					line += ", " + (100 * bucket.uncompressedSum[t] / bucket.countSum[t]).toFixed(1) + "% uncompressed, " + (bucket.ghostSum[t] / bucket.countSum[t]).toFixed(1) + " bits/instance";
+				lines.push(line);
+				break;
 			}
 		}
 	}
-	this.invalidate();
+	lines.push("Commands " + Math.round(bucket.commandSum / bucket.count) + " bytes");
+	var rpcSent = 0;
+	var rpcReceived = 0;
+	for (var r = 0; r < bucket.rpcSentBytes.length; ++r) {
+		rpcSent += bucket.rpcSentBytes[r];
+		rpcReceived += bucket.rpcReceivedBytes[r];
+	}
+	if (rpcSent + rpcReceived > 0)
+		lines.push("RPCs sent " + Math.round(rpcSent / bucket.count) + " bytes, received " + Math.round(rpcReceived / bucket.count) + " bytes");
+	if (bucket.discardedSum > 0)
+		lines.push("Discarded " + bucket.discardedSum + " packets");
+	if (bucket.missingSum > 0)
+		lines.push(bucket.count == 1 ? "Not received, no stats for this tick" : bucket.missingSum + " ticks not received");
+	var tickText = this.tickOffsetText(bucket);
+	if (tickText != "")
+		lines.push(tickText);
+	if (bucket.hasTimeData) {
+		var time = bucket.time;
+		lines.push("RTT " + (time.rtt.sum / time.rtt.count).toFixed(2) + " +/- " + (time.jitter.sum / time.jitter.count).toFixed(2));
+		lines.push("Time scale " + (time.scale.sum / time.scale.count).toFixed(2) + " Interpolation delay " + (time.interpolation.sum / time.interpolation.count).toFixed(2));
+		lines.push("Command age " + (time.commandAge.sum / time.commandAge.count).toFixed(2) + " Snapshot age " + time.snapshotAgeMin.min + " - " + time.snapshotAgeMax.max);
+	}
+
+	this.tooltip.textContent = lines.join("\n");
+	this.tooltip.style.display = "block";
+	this.tooltip.style.left = (this.hoverX + 12) + "px";
+	this.tooltip.style.top = (this.hoverY + 12) + "px";
+}
+
+// Signed offset of a tick to the server tick, e.g. "+2" for a command two ticks ahead.
+NetDbg.prototype.formatTickOffset = function(offset) {
+	return (offset > 0 ? "+" : "") + offset;
+}
+
+// Range of the snapshot and command tick offsets in a bucket, with the late and repeated commands.
+NetDbg.prototype.tickOffsetText = function(bucket) {
+	var parts = [];
+	var stats = [["Snapshot ticks ", bucket.snapshotOffset], ["Command ticks ", bucket.commandOffset]];
+	for (var i = 0; i < stats.length; ++i) {
+		var stat = stats[i][1];
+		if (stat.count == 0)
+			continue;
+		var range = this.formatTickOffset(stat.min);
+		if (stat.max != stat.min)
+			range += " to " + this.formatTickOffset(stat.max);
+		parts.push(stats[i][0] + range);
+	}
+	if (bucket.lateCommands > 0)
+		parts.push(bucket.lateCommands + " late");
+	if (bucket.repeatedCommands > 0)
+		parts.push(bucket.repeatedCommands + " repeated");
+	return parts.join(", ");
+}
+
+NetDbg.prototype.createTextDiv = function(text) {
+	var div = document.createElement("div");
+	div.appendChild(document.createTextNode(text));
+	return div;
 }
 
 NetDbg.prototype.invalidate = function() {
@@ -574,26 +3464,434 @@ NetDbg.prototype.maxOffset = function() {
 			continue;
 		if (this.content[con].container.style.display == "none")
 			continue;
-		var ofs = this.content[con].frames.length * this.SnapshotWidth - this.content[con].container.offsetWidth;
+		var ofs = this.frameCount(this.content[con]) * this.frameWidth - this.content[con].container.offsetWidth;
 		if (ofs > maxOffset)
 			maxOffset = ofs;
 	}
 	return maxOffset;
 }
 
+// Lanes below the command bars showing the time samples, each lane can show several fields of the
+// samples. Lanes which include zero keep it on their axis, the others are scaled to the range of the values.
+NetDbg.prototype.TimeLanes = [
+	{id: "interpolation", toggle: "showInterpolationDelay", name: "Interpolation delay", unit: "ticks", fields: ["interpolation"], color: 0, includeZero: true},
+	{id: "scale", toggle: "showTimeScale", name: "Time scale", unit: "x", fields: ["scale"], color: 1, includeZero: false},
+	{id: "interpolationScale", toggle: "showInterpolationTimeScale", name: "Interpolation time scale", unit: "x", fields: ["interpolationScale"], color: 6, includeZero: false},
+	{id: "rtt", toggle: "showRTT", name: "RTT", unit: "ms", fields: ["rtt"], color: 2, includeZero: true},
+	{id: "jitter", toggle: "showJitter", name: "Jitter", unit: "ms", fields: ["jitter"], color: 3, includeZero: true},
+	{id: "commandAge", toggle: "showCommandAge", name: "Command age", unit: "ticks", fields: ["commandAge"], color: 4, includeZero: true},
+	{id: "snapshotAge", toggle: "showSnapshotAge", name: "Snapshot age (min/max)", unit: "ticks", fields: ["snapshotAgeMin", "snapshotAgeMax"], color: 5, includeZero: true}
+];
+NetDbg.prototype.DefaultLaneHeight = 80;
+NetDbg.prototype.TimeFields = ["interpolation", "scale", "interpolationScale", "commandAge", "rtt", "jitter", "snapshotAgeMin", "snapshotAgeMax"];
+
+// A bucket holds the min/max/avg of a range of frames, it is used to draw the timeline when more
+// than one frame shares a pixel column.
+NetDbg.prototype.createBucket = function(first) {
+	var bucket = {first: first, count: 0, serverTick: 0, ghostSum: [], ghostMax: [], countSum: [], uncompressedSum: [],
+		totalMin: 0, totalMax: 0, totalSum: 0, commandSum: 0, commandMax: 0, discardedSum: 0, discardedMax: 0, missingSum: 0,
+		rpcSentSum: [], rpcSentBytes: [], rpcReceivedSum: [], rpcReceivedBytes: [], rpcSentMax: 0, rpcReceivedMax: 0,
+		predictionErrorMax: [], time: {}, hasTimeData: false, lateCommands: 0, repeatedCommands: 0,
+		snapshotOffset: {min: 0, max: 0, sum: 0, count: 0}, commandOffset: {min: 0, max: 0, sum: 0, count: 0}};
+	for (var i = 0; i < this.TimeFields.length; ++i)
+		bucket.time[this.TimeFields[i]] = {min: 0, max: 0, sum: 0, count: 0};
+	return bucket;
+}
+
+NetDbg.prototype.addFrameToBucket = function(bucket, frame) {
+	var total = 0;
+	for (var t = 0; t < frame.snapshot.length; ++t) {
+		var type = frame.snapshot[t];
+		if (bucket.ghostSum[t] == undefined) {
+			bucket.ghostSum[t] = 0;
+			bucket.ghostMax[t] = 0;
+			bucket.countSum[t] = 0;
+			bucket.uncompressedSum[t] = 0;
+		}
+		bucket.ghostSum[t] += type.size;
+		bucket.ghostMax[t] = Math.max(bucket.ghostMax[t], type.size);
+		bucket.countSum[t] += type.count;
+		bucket.uncompressedSum[t] += type.uncompressed;
+		total += type.size;
+	}
+	if (bucket.count == 0) {
+		bucket.serverTick = frame.serverTick;
+		bucket.totalMin = total;
+	}
+	bucket.totalMin = Math.min(bucket.totalMin, total);
+	bucket.totalMax = Math.max(bucket.totalMax, total);
+	bucket.totalSum += total;
+	bucket.commandSum += frame.commandSize;
+	bucket.commandMax = Math.max(bucket.commandMax, frame.commandSize);
+	var discarded = frame.discardedPackets > 0 ? frame.discardedPackets : 0;
+	bucket.discardedSum += discarded;
+	bucket.discardedMax = Math.max(bucket.discardedMax, discarded);
+	if (frame.missing)
+		++bucket.missingSum;
+	var rpcSent = 0;
+	var rpcReceived = 0;
+	for (var r = 0; r < frame.rpcs.length; ++r) {
+		if (bucket.rpcSentSum[r] == undefined) {
+			bucket.rpcSentSum[r] = 0;
+			bucket.rpcSentBytes[r] = 0;
+			bucket.rpcReceivedSum[r] = 0;
+			bucket.rpcReceivedBytes[r] = 0;
+		}
+		bucket.rpcSentSum[r] += frame.rpcs[r].sent;
+		bucket.rpcSentBytes[r] += frame.rpcs[r].sentBytes;
+		bucket.rpcReceivedSum[r] += frame.rpcs[r].received;
+		bucket.rpcReceivedBytes[r] += frame.rpcs[r].receivedBytes;
+		rpcSent += frame.rpcs[r].sentBytes;
+		rpcReceived += frame.rpcs[r].receivedBytes;
+	}
+	bucket.rpcSentMax = Math.max(bucket.rpcSentMax, rpcSent);
+	bucket.rpcReceivedMax = Math.max(bucket.rpcReceivedMax, rpcReceived);
+	for (var err = 0; err < frame.predictionError.length; ++err) {
+		if (bucket.predictionErrorMax[err] == undefined || frame.predictionError[err] > bucket.predictionErrorMax[err])
+			bucket.predictionErrorMax[err] = frame.predictionError[err];
+	}
+	for (var s = 0; s < frame.time.length; ++s) {
+		for (var i = 0; i < this.TimeFields.length; ++i) {
+			var stat = bucket.time[this.TimeFields[i]];
+			var value = frame.time[s][this.TimeFields[i]];
+			stat.min = stat.count == 0 ? value : Math.min(stat.min, value);
+			stat.max = stat.count == 0 ? value : Math.max(stat.max, value);
+			stat.sum += value;
+			++stat.count;
+		}
+		bucket.hasTimeData = true;
+	}
+	for (var i = 0; i < frame.snapshotTicks.length; ++i)
+		this.addTickOffset(bucket.snapshotOffset, frame.snapshotTicks[i] - frame.serverTick);
+	for (var i = 0; i < frame.commandTicks.length; ++i) {
+		this.addTickOffset(bucket.commandOffset, frame.commandTicks[i] - frame.serverTick);
+		if (frame.commandTicks[i] < frame.serverTick)
+			++bucket.lateCommands;
+		if (frame.repeatedCommands != undefined && frame.repeatedCommands[i])
+			++bucket.repeatedCommands;
+	}
+	++bucket.count;
+}
+
+NetDbg.prototype.addTickOffset = function(stat, value) {
+	stat.min = stat.count == 0 ? value : Math.min(stat.min, value);
+	stat.max = stat.count == 0 ? value : Math.max(stat.max, value);
+	stat.sum += value;
+	++stat.count;
+}
+
+NetDbg.prototype.mergeBucket = function(bucket, other) {
+	if (other.count == 0)
+		return;
+	for (var t = 0; t < other.ghostSum.length; ++t) {
+		if (bucket.ghostSum[t] == undefined) {
+			bucket.ghostSum[t] = 0;
+			bucket.ghostMax[t] = 0;
+			bucket.countSum[t] = 0;
+			bucket.uncompressedSum[t] = 0;
+		}
+		bucket.ghostSum[t] += other.ghostSum[t];
+		bucket.ghostMax[t] = Math.max(bucket.ghostMax[t], other.ghostMax[t]);
+		bucket.countSum[t] += other.countSum[t];
+		bucket.uncompressedSum[t] += other.uncompressedSum[t];
+	}
+	if (bucket.count == 0) {
+		bucket.serverTick = other.serverTick;
+		bucket.totalMin = other.totalMin;
+	}
+	bucket.totalMin = Math.min(bucket.totalMin, other.totalMin);
+	bucket.totalMax = Math.max(bucket.totalMax, other.totalMax);
+	bucket.totalSum += other.totalSum;
+	bucket.commandSum += other.commandSum;
+	bucket.commandMax = Math.max(bucket.commandMax, other.commandMax);
+	bucket.discardedSum += other.discardedSum;
+	bucket.discardedMax = Math.max(bucket.discardedMax, other.discardedMax);
+	bucket.missingSum += other.missingSum;
+	for (var r = 0; r < other.rpcSentSum.length; ++r) {
+		if (bucket.rpcSentSum[r] == undefined) {
+			bucket.rpcSentSum[r] = 0;
+			bucket.rpcSentBytes[r] = 0;
+			bucket.rpcReceivedSum[r] = 0;
+			bucket.rpcReceivedBytes[r] = 0;
+		}
+		bucket.rpcSentSum[r] += other.rpcSentSum[r];
+		bucket.rpcSentBytes[r] += other.rpcSentBytes[r];
+		bucket.rpcReceivedSum[r] += other.rpcReceivedSum[r];
+		bucket.rpcReceivedBytes[r] += other.rpcReceivedBytes[r];
+	}
+	bucket.rpcSentMax = Math.max(bucket.rpcSentMax, other.rpcSentMax);
+	bucket.rpcReceivedMax = Math.max(bucket.rpcReceivedMax, other.rpcReceivedMax);
+	for (var err = 0; err < other.predictionErrorMax.length; ++err) {
+		if (bucket.predictionErrorMax[err] == undefined || other.predictionErrorMax[err] > bucket.predictionErrorMax[err])
+			bucket.predictionErrorMax[err] = other.predictionErrorMax[err];
+	}
+	for (var i = 0; i < this.TimeFields.length; ++i) {
+		var stat = bucket.time[this.TimeFields[i]];
+		var otherStat = other.time[this.TimeFields[i]];
+		if (otherStat.count == 0)
+			continue;
+		stat.min = stat.count == 0 ? otherStat.min : Math.min(stat.min, otherStat.min);
+		stat.max = stat.count == 0 ? otherStat.max : Math.max(stat.max, otherStat.max);
+		stat.sum += otherStat.sum;
+		stat.count += otherStat.count;
+	}
+	bucket.hasTimeData = bucket.hasTimeData || other.hasTimeData;
+	var offsets = [[bucket.snapshotOffset, other.snapshotOffset], [bucket.commandOffset, other.commandOffset]];
+	for (var i = 0; i < offsets.length; ++i) {
+		var stat = offsets[i][0];
+		var otherStat = offsets[i][1];
+		if (otherStat.count == 0)
+			continue;
+		stat.min = stat.count == 0 ? otherStat.min : Math.min(stat.min, otherStat.min);
+		stat.max = stat.count == 0 ? otherStat.max : Math.max(stat.max, otherStat.max);
+		stat.sum += otherStat.sum;
+		stat.count += otherStat.count;
+	}
+	bucket.lateCommands += other.lateCommands;
+	bucket.repeatedCommands += other.repeatedCommands;
+	bucket.count += other.count;
+}
+
+NetDbg.prototype.aggregateFrames = function(content, first, count) {
+	var bucket = this.createBucket(first);
+	var end = Math.min(first + count, this.frameCount(content));
+	for (var i = Math.max(first, content.frameBase); i < end; ++i)
+		this.addFrameToBucket(bucket, content.frames[i - content.frameBase]);
+	return bucket;
+}
+
+// Frames are added to buckets of this size as they are received. Smaller buckets are aggregated
+// directly from the frames when needed, larger ones are merged from the two buckets of half the size.
+NetDbg.prototype.BucketBaseSize = 16;
+
+NetDbg.prototype.addFrameToBaseBucket = function(content, index, frame) {
+	var cache = content.bucketCache[this.BucketBaseSize];
+	var bucketIndex = Math.floor(index / this.BucketBaseSize);
+	if (cache[bucketIndex] == undefined)
+		cache[bucketIndex] = this.createBucket(bucketIndex * this.BucketBaseSize);
+	this.addFrameToBucket(cache[bucketIndex], frame);
+}
+
+// Returns the bucket with the given index for a power of two bucket size. Buckets are cached once all
+// their frames have been received, so zooming out on a long session only aggregates each frame once.
+NetDbg.prototype.getBucket = function(content, size, index) {
+	var cache = content.bucketCache[size];
+	if (cache == undefined) {
+		cache = [];
+		content.bucketCache[size] = cache;
+	}
+	if (cache[index] != undefined)
+		return cache[index];
+	if (size == this.BucketBaseSize)
+		return this.createBucket(index * size);
+	if (size < this.BucketBaseSize)
+		return this.aggregateFrames(content, index * size, size);
+	var bucket = this.createBucket(index * size);
+	this.mergeBucket(bucket, this.getBucket(content, size / 2, index * 2));
+	this.mergeBucket(bucket, this.getBucket(content, size / 2, index * 2 + 1));
+	if ((index + 1) * size <= this.frameCount(content))
+		cache[index] = bucket;
+	return bucket;
+}
+
+// Number of frames in the whole session, including the ones which have been moved to the downsampled archive.
+NetDbg.prototype.frameCount = function(content) {
+	return content.frameBase + content.frames.length;
+}
+
+// Returns the frame with the given index in the session, or undefined if it is out of range or only
+// available as an aggregated bucket.
+NetDbg.prototype.frameAt = function(content, index) {
+	if (index < content.frameBase)
+		return undefined;
+	return content.frames[index - content.frameBase];
+}
+
+// Frames older than the configured number of ticks are dropped, keeping only the aggregated buckets of
+// the archive bucket size (and larger) for them. Frames are dropped in chunks to keep the cost low.
+NetDbg.prototype.ArchiveChunkSize = 1024;
+
+NetDbg.prototype.applyRetention = function(content) {
+	if (!(this.historyTicks > 0))
+		return;
+	content.archiveSize = Math.max(content.archiveSize, this.archiveBucketTicks);
+	var archiveSize = content.archiveSize;
+	var excess = content.frames.length - this.historyTicks;
+	if (excess < Math.max(this.ArchiveChunkSize, archiveSize))
+		return;
+	var newBase = Math.floor((content.frameBase + excess) / archiveSize) * archiveSize;
+	if (newBase <= content.frameBase)
+		return;
+
+	// Make sure the archive buckets are cached before dropping the frames and smaller buckets they are built from.
+	// After the bucket size was raised the first bucket also covers frames archived with the previous size.
+	var alignedBase = Math.floor(content.frameBase / archiveSize) * archiveSize;
+	for (var index = alignedBase / archiveSize; index < newBase / archiveSize; ++index)
+		this.getBucket(content, archiveSize, index);
+	for (var size = this.BucketBaseSize; size < archiveSize; size *= 2) {
+		var cache = content.bucketCache[size];
+		if (cache == undefined)
+			continue;
+		for (var index = alignedBase / size; index < newBase / size; ++index)
+			delete cache[index];
+	}
+	content.frames.splice(0, newBase - content.frameBase);
+	content.frameBase = newBase;
+	var truncated = content.capture.truncated === true;
+	this.trimCapture(content.capture, content.frames[0].serverTick);
+	if (!truncated && content.capture.truncated === true)
+		this.updateSessionList();
+	this.updateViolations(content);
+	// The archived part of the timeline is drawn with less detail now.
+	content.tiles = undefined;
+}
+
+// Drops the raw packets for ticks which are no longer kept at full resolution. Only the last name
+// packet received before the first kept frame is needed to decode the rest.
+NetDbg.prototype.trimCapture = function(capture, firstTick) {
+	var dropped = 0;
+	while (dropped < capture.frames.length && new Uint32Array(capture.frames[dropped], 0, 1)[0] < firstTick)
+		++dropped;
+	if (dropped == 0)
+		return;
+	capture.frames.splice(0, dropped);
+	var names = [];
+	for (var i = 0; i < capture.names.length; ++i) {
+		var at = capture.names[i].at - dropped;
+		if (at <= 0 && i + 1 < capture.names.length && capture.names[i + 1].at - dropped <= 0)
+			continue;
+		names.push({at: Math.max(at, 0), packet: capture.names[i].packet});
+	}
+	capture.names = names;
+	capture.truncated = true;
+}
+
+// Gap between the frame columns, dropped when the columns get too narrow to show it.
+NetDbg.prototype.frameMargin = function() {
+	return this.frameWidth >= 5 ? this.SnapshotMargin : 0;
+}
+
+// Number of frames aggregated into each column. Always a power of two so the buckets stay aligned
+// to the same frames while scrolling.
+NetDbg.prototype.bucketSize = function() {
+	if (this.frameWidth >= 1)
+		return 1;
+	return Math.pow(2, Math.ceil(Math.log2(1 / this.frameWidth)));
+}
+
+// Interval in ticks between the vertical tick markers, chosen so the markers stay a few pixels apart.
+NetDbg.prototype.tickMarkerInterval = function() {
+	var interval = 1;
+	while (interval * this.frameWidth < 5)
+		interval *= 10;
+	return interval;
+}
+
+NetDbg.prototype.zoom = function(factor, anchorX) {
+	var frameWidth = Math.min(Math.max(this.frameWidth * factor, this.MinSnapshotWidth), this.MaxSnapshotWidth);
+	if (frameWidth == this.frameWidth)
+		return;
+	// Keep the frame under the cursor in place, unless we are following the live data.
+	if (this.offsetX >= 0) {
+		var anchorFrame = (this.offsetX + anchorX) / this.frameWidth;
+		this.frameWidth = frameWidth;
+		this.offsetX = Math.min(Math.max(anchorFrame * frameWidth - anchorX, 0), this.maxOffset());
+	} else
+		this.frameWidth = frameWidth;
+	this.writeSetting("zoom", "" + this.frameWidth);
+	this.invalidate();
+}
+
+NetDbg.prototype.onWheel = function(evt) {
+	// Pinch gestures on touchpads are sent as wheel events with the ctrl key set.
+	if (evt.deltaY != 0) {
+		evt.preventDefault();
+		var anchorX = evt.clientX;
+		for (var p = evt.target; p; p = p.offsetParent)
+			anchorX -= p.offsetLeft;
+		var speed = evt.ctrlKey ? 0.01 : 0.002;
+		this.zoom(Math.exp(-evt.deltaY * speed), anchorX);
+	} else if (evt.deltaX != 0) {
+		evt.preventDefault();
+		this.offsetX = Math.min(Math.max(this.currentOffset() + evt.deltaX, 0), this.maxOffset());
+		document.getElementById("liveUpdate").checked = false;
+		this.invalidate();
+	}
+}
+
+NetDbg.prototype.computeLayout = function(content) {
+	var layout = {};
+	layout.showPredictionErrors = document.getElementById("showPredictionErrors").checked;
+	layout.snapshotHeight = 510;
+	layout.commandHeight = layout.snapshotHeight / 3;
+	// The rpc lane shows sent bytes above and received bytes below its center line.
+	layout.rpcTop = layout.snapshotHeight + layout.commandHeight;
+	layout.rpcHeight = content.rpcs.length > 0 ? this.RpcLaneHeight : 0;
+	layout.rpcScale = this.niceScale(content.maxRpcBytes);
+	// The tick lane plots snapshot and command ticks relative to the server tick on its center line.
+	layout.tickTop = layout.rpcTop + layout.rpcHeight;
+	layout.tickHeight = document.getElementById("showTickTimeline").checked && content.hasTickData ? this.TickLaneHeight : 0;
+	layout.tickScale = Math.max(this.niceScale(content.maxTickOffset), 4);
+
+	layout.timeLanes = [];
+	var laneTop = layout.tickTop + layout.tickHeight;
+	for (var i = 0; i < this.TimeLanes.length && content.hasTimeData; ++i) {
+		var lane = this.TimeLanes[i];
+		if (!document.getElementById(lane.toggle).checked)
+			continue;
+		var settings = this.laneSettings[lane.id];
+		var range = this.laneRange(content, lane, settings);
+		layout.timeLanes.push({lane: lane, top: laneTop, height: settings.height, min: range.min, max: range.max, step: range.step});
+		laneTop += settings.height;
+	}
+	// Two compression lanes with a line per visible ghost type, the uncompressed part of the instances
+	// and the bits per instance.
+	layout.compressionTop = laneTop;
+	layout.compressionHeight = document.getElementById("showCompression").checked && content.maxBitsPerInstance > 0 ? this.CompressionLaneHeight : 0;
+	layout.bitsPerInstanceScale = this.niceScale(content.maxBitsPerInstance);
+	laneTop += 2 * layout.compressionHeight;
+	layout.snapshotContentHeight = laneTop;
+
+	layout.predictionErrorHeight = 48;
+	layout.predictionErrors = this.predictionErrorLanes(content, layout.showPredictionErrors);
+	// Each lane is scaled to the largest error, in the units of the error, rounded up to a 1/2/5 step
+	// so the cached tiles only have to be redrawn when the largest error grows noticeably. With a
+	// shared scale all lanes use the largest one so the components can be compared.
+	var sharedScale = document.getElementById("sharedErrorScale").checked;
+	var maxScale = 0;
+	layout.predictionErrorScale = [];
+	for (var i = 0; i < layout.predictionErrors.length; ++i) {
+		var scale = this.niceScale(content.maxError[layout.predictionErrors[i]]);
+		layout.predictionErrorScale.push(scale);
+		maxScale = Math.max(maxScale, scale);
+	}
+	if (sharedScale) {
+		for (var i = 0; i < layout.predictionErrorScale.length; ++i)
+			layout.predictionErrorScale[i] = maxScale;
+	}
+	layout.height = layout.snapshotContentHeight + layout.predictionErrors.length * layout.predictionErrorHeight;
+	layout.maxPackets = content.filteredMaxPackets;
+	// The largest snapshot, rounded up to whole packets, fills 350 pixels of the snapshot lane.
+	layout.packetBits = this.packetBytes(content) * 8;
+	layout.byteScale = 350 / (layout.packetBits * layout.maxPackets);
+	layout.hiddenGhosts = content.hiddenGhosts.slice();
+	layout.budget = content.budget;
+	return layout;
+}
+
+// Everything which changes how frames are drawn into the cached tiles. The tiles of a connection are
+// discarded when this changes.
+NetDbg.prototype.layoutKey = function(layout) {
+	var lanes = [];
+	for (var i = 0; i < layout.timeLanes.length; ++i) {
+		var lane = layout.timeLanes[i];
+		lanes.push([lane.lane.id, lane.top, lane.height, lane.min, lane.max]);
+	}
+	return JSON.stringify([this.frameWidth, layout.height, layout.byteScale, layout.packetBits, layout.rpcHeight, layout.rpcScale, layout.tickHeight, layout.tickScale, lanes, layout.compressionHeight, layout.bitsPerInstanceScale, layout.predictionErrors, layout.predictionErrorScale, layout.hiddenGhosts, layout.budget]);
+}
+
 NetDbg.prototype.present = function() {
 	this.pendingPresent = 0;
-	var showInterpolationDelay = document.getElementById("showInterpolationDelay").checked;
-	var showPredictionErrors = document.getElementById("showPredictionErrors").checked;
-	var showTimeScale = document.getElementById("showTimeScale").checked;
-	var showRTT = document.getElementById("showRTT").checked
-	var showJitter = document.getElementById("showJitter").checked
-	var showCommandAge = document.getElementById("showCommandAge").checked;
-	var showSnapshotAge = document.getElementById("showSnapshotAge").checked;
-	var showInterpolationTimeScale = document.getElementById("showInterpolationTimeScale").checked;
-	var defaultDtHeight = 0;
-	if (showInterpolationDelay || showTimeScale || showRTT || showJitter || showCommandAge || showSnapshotAge || showInterpolationTimeScale)
-		defaultDtHeight = 80;
 	for (var con = 0; con < this.content.length; ++con) {
 		var content = this.content[con];
 		if (content == undefined)
@@ -601,233 +3899,664 @@ NetDbg.prototype.present = function() {
 		if (content.container.style.display == "none")
 			continue;
 
-		var dtHeight = defaultDtHeight;
-		if (!content.hasTimeData)
-			dtHeight = 0;
+		var layout = this.computeLayout(content);
+		content.layout = layout;
+		var ctx = content.ctx;
+		if (content.canvas.width != content.canvas.parentElement.offsetWidth)
+			content.canvas.width = content.canvas.parentElement.offsetWidth;
+		if (content.canvas.height != layout.height)
+			content.canvas.height = layout.height;
 
-		content.canvas.width = content.canvas.parentElement.offsetWidth;
-		var snapshotContentHeight = 680;
-		var snapshotHeight = (snapshotContentHeight - dtHeight)*3 / 4;
-		var commandHeight = snapshotHeight / 3;
+		ctx.fillStyle = "black";
+		ctx.fillRect(0,0,content.canvas.width, content.canvas.height);
 
-		var predictionContentHeight = 0;
-		var predictionErrorHeight = 32;
-		if (showPredictionErrors) {
-			for (var i = 0; i < content.errors.length; ++i) {
-				if (content.enabledErrors[i])
-					predictionContentHeight += predictionErrorHeight;
-			}
+		ctx.fillStyle = "gray";
+		for (var i = 1; i <= layout.maxPackets; ++i) {
+			ctx.fillRect(0,layout.snapshotHeight - layout.packetBits*layout.byteScale*i,content.canvas.width, 1);
+		}
+		this.drawLaneGrid(ctx, layout, content.canvas.width);
+		if (layout.budget.total > 0) {
+			ctx.fillStyle = "orange";
+			ctx.fillRect(0,layout.snapshotHeight - layout.budget.total*layout.byteScale,content.canvas.width, 1);
 		}
-		content.canvas.height = snapshotContentHeight + predictionContentHeight;
-
-		var byteScale = 0.25 / (8 * content.maxPackets);
 
-		content.ctx.fillStyle = "black";
-		content.ctx.fillRect(0,0,content.canvas.width, content.canvas.height);
+		var currentOffset = Math.round(this.currentOffset());
 
-		content.ctx.fillStyle = "gray";
-		for (var i = 1; i <= content.maxPackets; ++i) {
-			content.ctx.fillRect(0,snapshotHeight - 8000*byteScale*i,content.canvas.width, 1);
-			//content.ctx.fillRect(0,snapshotHeight+commandHeight - 8000*byteScale*i,content.canvas.width, 1);
+		var range = this.selectedRange();
+		if (range != null) {
+			ctx.fillStyle = "rgba(252,15,192,0.5)";
+			ctx.fillRect(range.first*this.frameWidth-this.frameMargin()/2 - currentOffset, 0, Math.max((range.last - range.first + 1)*this.frameWidth, 1), content.canvas.height);
+		} else if (this.selection >= 0 && this.selection < this.frameCount(content)) {
+			ctx.fillStyle = "#fc0fc0";
+			ctx.fillRect(this.selection*this.frameWidth-this.frameMargin()/2 - currentOffset, 0, Math.max(this.frameWidth, 1), content.canvas.height);
 		}
-		if (dtHeight > 0)
-			content.ctx.fillRect(0,snapshotHeight+commandHeight + dtHeight/2,content.canvas.width, 1);
 
-		var currentOffset = this.currentOffset();
+		this.drawTiles(content, ctx, layout, currentOffset);
 
-		if (this.selection >= 0 && this.selection < content.frames.length) {
-			content.ctx.fillStyle = "#fc0fc0";
-			content.ctx.fillRect(this.selection*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset, 0, this.SnapshotWidth, content.canvas.height);
+		ctx.fillStyle = "white";
+		ctx.fillRect(0,layout.snapshotHeight,content.canvas.width, 2);
+		ctx.fillRect(0,layout.snapshotHeight+layout.commandHeight,content.canvas.width, 2);
+		this.drawRpcLabels(ctx, layout, content.canvas.width);
+		this.drawTickLabels(ctx, layout, content.canvas.width);
+		this.drawCompressionLabels(ctx, layout, content.canvas.width);
+		this.drawLaneLabels(ctx, layout, content.canvas.width);
+		this.drawMarkers(content, ctx, layout, currentOffset);
+
+		if (layout.predictionErrors.length > 0) {
+			var predictionContentHeight = 0;
+			ctx.font = '10px serif';
+			for (var i = 0; i < layout.predictionErrors.length; ++i) {
+				var err = layout.predictionErrors[i];
+				var laneTop = layout.snapshotContentHeight+predictionContentHeight;
+				ctx.fillText((content.pinnedErrors[content.errors[err]] ? "* " : "") + content.errors[err], 5, laneTop + 15);
+				ctx.textAlign = "right";
+				ctx.fillText(this.formatValue(layout.predictionErrorScale[i]), content.canvas.width - 5, laneTop + 12);
+				ctx.fillText("0", content.canvas.width - 5, laneTop + layout.predictionErrorHeight - 4);
+				ctx.textAlign = "left";
+				predictionContentHeight += layout.predictionErrorHeight;
+				ctx.fillRect(0,layout.snapshotContentHeight+predictionContentHeight,content.canvas.width, 2);
+			}
 		}
+	}
+	// Live updates scroll the frames under the cursor, so the tooltip is refreshed with every present.
+	if (this.hoverContent != undefined)
+		this.updateTooltip();
+}
 
+NetDbg.prototype.TileWidth = 256;
 
-		for (var i = 0; i < content.frames.length; ++i) {
-			var total = 0;
-			var totalCount = 0;
-			var totalUncompressed = 0;
-			for (var t = 0; t < content.frames[i].snapshot.length; ++t) {
-				content.ctx.fillStyle = this.Colors[t%this.Colors.length];
-				content.ctx.fillRect(i*this.SnapshotWidth - currentOffset, snapshotHeight - byteScale * (total + content.frames[i].snapshot[t].size), this.SnapshotWidth-this.SnapshotMargin, byteScale * content.frames[i].snapshot[t].size);
-				total += content.frames[i].snapshot[t].size;
-				totalCount += content.frames[i].snapshot[t].count;
-				totalUncompressed += content.frames[i].snapshot[t].uncompressed;
-			}
-			if (totalCount > 0) {
-				var uncompressedAlpha = totalUncompressed / totalCount;
-				// Highlight frames where > 10% of the items were uncompressed
-				if (uncompressedAlpha > 0.1) {
-					uncompressedAlpha = uncompressedAlpha * 0.5 + 0.5;
-					content.ctx.strokeStyle = "rgba(255,0,0," + uncompressedAlpha + ")";
-					content.ctx.strokeRect(i*this.SnapshotWidth - currentOffset, snapshotHeight-byteScale*total, this.SnapshotWidth-this.SnapshotMargin, byteScale*total);
-				}
-			}
-			if (content.frames[i].commandSize > 0) {
-				content.ctx.fillStyle = this.Colors[0];
-				content.ctx.fillRect(i*this.SnapshotWidth - currentOffset, snapshotHeight+commandHeight - byteScale * content.frames[i].commandSize*8, this.SnapshotWidth-this.SnapshotMargin, byteScale * content.frames[i].commandSize*8);
-			}
-			if (content.frames[i].discardedPackets > 0) {
-				content.ctx.fillStyle = "red";
-				var xpos = i*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-				content.ctx.fillRect(xpos, 0, this.SnapshotWidth, content.frames[i].discardedPackets * 10);
-			}
+// The frames are drawn into offscreen tiles which are only redrawn when the layout changes. Each tile
+// remembers up to which pixel its content is final, so new frames arriving only redraw the columns
+// after that point. Only the tiles in view are kept.
+NetDbg.prototype.drawTiles = function(content, ctx, layout, offset) {
+	var key = this.layoutKey(layout);
+	if (content.tiles == undefined || content.tiles.key != key)
+		content.tiles = {key: key, map: {}};
+	var firstTile = Math.floor(offset / this.TileWidth);
+	var lastTile = Math.floor((offset + content.canvas.width - 1) / this.TileWidth);
+	for (var k in content.tiles.map) {
+		if (k < firstTile || k > lastTile)
+			delete content.tiles.map[k];
+	}
+	for (var k = firstTile; k <= lastTile; ++k) {
+		var tile = this.updateTile(content, layout, k);
+		if (tile != undefined)
+			ctx.drawImage(tile.canvas, k * this.TileWidth - offset, 0);
+	}
+}
 
-			// Vertical timeline lines, one for each snapshot tick.
-			{
-				content.ctx.strokeStyle = "gray";
-				var xpos = i*this.SnapshotWidth - currentOffset;
-				var ypos = snapshotHeight;
-				// TODO: I'd like to show larger lines for the TickRate markers here (e.g. 60Hz), but it's not currently sent.
-				var isHundredMarker = content.frames[i].serverTick % 100 === 0;
-				var isTenTickMarker = content.frames[i].serverTick % 10 === 0;
-				content.ctx.beginPath();
-				content.ctx.lineTo(xpos, ypos);
-				ypos += isHundredMarker ? 60 : (isTenTickMarker ? 30 : 20);
-				content.ctx.lineTo(xpos, ypos);
-				content.ctx.stroke();
-			}
+NetDbg.prototype.updateTile = function(content, layout, index) {
+	var frameCount = this.frameCount(content);
+	var tileX = index * this.TileWidth;
+	if (tileX < 0 || frameCount == 0 || tileX > frameCount * this.frameWidth)
+		return undefined;
+	var tile = content.tiles.map[index];
+	if (tile == undefined) {
+		tile = {canvas: document.createElement("canvas"), validX: 0};
+		tile.canvas.width = this.TileWidth;
+		tile.canvas.height = layout.height;
+		tile.ctx = tile.canvas.getContext("2d");
+		content.tiles.map[index] = tile;
+	}
+	if (tile.validX >= this.TileWidth)
+		return tile;
 
-			if (showPredictionErrors) {
-				var predictionErrorBase = snapshotContentHeight + predictionErrorHeight;
-				if (content.frames[i].predictionError != undefined) {
-					content.ctx.fillStyle = "blue";
-					for (var err = 0; err < content.errors.length; ++err) {
-						if (content.enabledErrors[err]) {
-							var avgError = content.totalError[err] / content.totalErrorCount[err];
-							// We target an average error to fill up 10%
-							var size = content.frames[i].predictionError[err] * predictionErrorHeight * 0.1 / avgError;
-							if (size > predictionErrorHeight-2)
-								size = predictionErrorHeight-2;
-							content.ctx.fillRect(i*this.SnapshotWidth - currentOffset, predictionErrorBase - size, this.SnapshotWidth-this.SnapshotMargin, size);
-							predictionErrorBase += predictionErrorHeight;
-						}
-					}
-				}
+	// Frames, or buckets of frames when zoomed out, are final once the next one has been received
+	// since the time lines connect to it.
+	var unit = this.bucketSize();
+	var completeUnits = Math.floor(frameCount / unit);
+	var validX = Math.floor((completeUnits - 1) * unit * this.frameWidth - tileX);
+
+	var ctx = tile.ctx;
+	ctx.save();
+	ctx.beginPath();
+	ctx.rect(tile.validX, 0, this.TileWidth - tile.validX, layout.height);
+	ctx.clip();
+	ctx.clearRect(tile.validX, 0, this.TileWidth - tile.validX, layout.height);
+	var first = (Math.floor((tileX + tile.validX) / (this.frameWidth * unit)) - 1) * unit;
+	var end = (Math.ceil((tileX + this.TileWidth) / (this.frameWidth * unit)) + 1) * unit;
+	this.drawFrames(content, ctx, layout, Math.max(first, 0), Math.min(end, frameCount), tileX);
+	ctx.restore();
+
+	tile.validX = Math.min(Math.max(tile.validX, validX), this.TileWidth);
+	return tile;
+}
+
+// Draws the frames in [first, end) with the given horizontal offset in pixels.
+NetDbg.prototype.drawFrames = function(content, ctx, layout, first, end, offset) {
+	var bucketSize = this.bucketSize();
+	if (bucketSize < content.archiveSize && first < content.frameBase) {
+		// The archived frames are only available at the archive resolution.
+		this.drawBuckets(content, ctx, layout, first, Math.min(end, content.frameBase), content.archiveSize, offset);
+		first = content.frameBase;
+	}
+	if (first >= end)
+		return;
+	if (bucketSize == 1) {
+		this.drawFrameColumns(content, ctx, layout, first, end, offset);
+		this.drawFrameTimeLines(content, ctx, layout, first, end, offset);
+		this.drawFramePredictionErrors(content, ctx, layout, first, end, offset);
+		this.drawFrameTicks(content, ctx, layout, first, end, offset);
+		this.drawFrameCompression(content, ctx, layout, first, end, offset);
+	} else
+		this.drawBuckets(content, ctx, layout, first, end, bucketSize, offset);
+}
+
+NetDbg.prototype.drawBuckets = function(content, ctx, layout, first, end, bucketSize, offset) {
+	var buckets = [];
+	for (var index = Math.floor(first / bucketSize); index * bucketSize < end; ++index)
+		buckets.push(this.getBucket(content, bucketSize, index));
+	this.drawBucketColumns(content, ctx, layout, buckets, bucketSize, offset);
+	this.drawBucketTimeLines(content, ctx, layout, buckets, bucketSize, offset);
+	this.drawBucketPredictionErrors(content, ctx, layout, buckets, bucketSize, offset);
+	this.drawBucketTicks(content, ctx, layout, buckets, bucketSize, offset);
+	this.drawBucketCompression(content, ctx, layout, buckets, bucketSize, offset);
+}
+
+NetDbg.prototype.drawTickMarker = function(ctx, layout, xpos, serverTick, interval) {
+	// TODO: I'd like to show larger lines for the TickRate markers here (e.g. 60Hz), but it's not currently sent.
+	var isHundredMarker = serverTick % (interval*100) === 0;
+	var isTenTickMarker = serverTick % (interval*10) === 0;
+	ctx.strokeStyle = "gray";
+	ctx.beginPath();
+	ctx.moveTo(xpos, layout.snapshotHeight);
+	ctx.lineTo(xpos, layout.snapshotHeight + (isHundredMarker ? 60 : (isTenTickMarker ? 30 : 20)));
+	ctx.stroke();
+}
+
+// Background of the columns which exceed the bandwidth budget of the connection.
+NetDbg.prototype.BudgetViolationColor = "rgba(255,140,0,0.35)";
+// Ticks the debugger received no stats for, as opposed to ticks where the server sent nothing.
+NetDbg.prototype.MissingTickColor = "rgba(160,160,160,0.4)";
+// Mark above the columns of snapshots which need more than one packet.
+NetDbg.prototype.FragmentColor = "#46f0f0";
+
+NetDbg.prototype.drawFrameColumns = function(content, ctx, layout, first, end, offset) {
+	var snapshotHeight = layout.snapshotHeight;
+	var commandHeight = layout.commandHeight;
+	var byteScale = layout.byteScale;
+	var width = Math.max(this.frameWidth - this.frameMargin(), 1);
+	var markerInterval = this.tickMarkerInterval();
+	for (var i = first; i < end; ++i) {
+		var frame = content.frames[i - content.frameBase];
+		var xpos = i*this.frameWidth - offset;
+		if (this.frameExceedsBudget(content, frame)) {
+			ctx.fillStyle = this.BudgetViolationColor;
+			ctx.fillRect(xpos, 0, width, snapshotHeight);
+		}
+		if (frame.missing) {
+			ctx.fillStyle = this.MissingTickColor;
+			ctx.fillRect(xpos, 0, width, snapshotHeight);
+		}
+		var total = 0;
+		var totalCount = 0;
+		var totalUncompressed = 0;
+		for (var t = 0; t < frame.snapshot.length; ++t) {
+			if (content.hiddenGhosts[t])
+				continue;
+			ctx.fillStyle = this.Colors[t%this.Colors.length];
+			ctx.fillRect(xpos, snapshotHeight - byteScale * (total + frame.snapshot[t].size), width, byteScale * frame.snapshot[t].size);
+			total += frame.snapshot[t].size;
+			totalCount += frame.snapshot[t].count;
+			totalUncompressed += frame.snapshot[t].uncompressed;
+		}
+		if (this.snapshotSize(frame) > layout.packetBits) {
+			ctx.fillStyle = this.FragmentColor;
+			ctx.fillRect(xpos, snapshotHeight - byteScale * total - 6, width, 3);
+		}
+		if (totalCount > 0) {
+			var uncompressedAlpha = totalUncompressed / totalCount;
+			// Highlight frames where > 10% of the items were uncompressed
+			if (uncompressedAlpha > 0.1) {
+				uncompressedAlpha = uncompressedAlpha * 0.5 + 0.5;
+				ctx.strokeStyle = "rgba(255,0,0," + uncompressedAlpha + ")";
+				ctx.strokeRect(xpos, snapshotHeight-byteScale*total, width, byteScale*total);
 			}
 		}
+		if (frame.commandSize > 0) {
+			ctx.fillStyle = this.Colors[0];
+			ctx.fillRect(xpos, snapshotHeight+commandHeight - byteScale * frame.commandSize*8, width, byteScale * frame.commandSize*8);
+		}
+		var rpcSent = 0;
+		var rpcReceived = 0;
+		for (var r = 0; r < frame.rpcs.length; ++r) {
+			ctx.fillStyle = this.Colors[r%this.Colors.length];
+			this.drawRpcBar(ctx, layout, xpos, width, rpcSent, rpcSent + frame.rpcs[r].sentBytes);
+			this.drawRpcBar(ctx, layout, xpos, width, -rpcReceived, -rpcReceived - frame.rpcs[r].receivedBytes);
+			rpcSent += frame.rpcs[r].sentBytes;
+			rpcReceived += frame.rpcs[r].receivedBytes;
+		}
+		if (frame.discardedPackets > 0) {
+			ctx.fillStyle = "red";
+			ctx.fillRect(xpos-this.frameMargin()/2, 0, Math.max(this.frameWidth, 1), frame.discardedPackets * 10);
+		}
 
-		if (showInterpolationDelay && content.hasTimeData) {
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				for (var frac = 0; frac < content.frames[i].time.length; ++frac) {
-					var frameOffset = i + content.frames[i].time[frac].fraction;
-					var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-					content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight - content.frames[i].time[frac].interpolation*2);
-				}
-			}
-			content.ctx.strokeStyle = this.Colors[0];
-			content.ctx.stroke();
+		// Vertical timeline lines, one for each snapshot tick.
+		if (frame.serverTick % markerInterval === 0)
+			this.drawTickMarker(ctx, layout, xpos, frame.serverTick, markerInterval);
+
+	}
+}
+
+NetDbg.prototype.RpcLaneHeight = 100;
+
+// Vertical position of a number of rpc bytes in the rpc lane, positive for sent and negative for
+// received bytes.
+NetDbg.prototype.rpcY = function(layout, bytes) {
+	var center = layout.rpcTop + layout.rpcHeight / 2;
+	return center - Math.max(Math.min(bytes / layout.rpcScale, 1), -1) * (layout.rpcHeight / 2 - 2);
+}
+
+NetDbg.prototype.drawRpcBar = function(ctx, layout, xpos, width, from, to) {
+	if (from == to)
+		return;
+	var y0 = this.rpcY(layout, from);
+	var y1 = this.rpcY(layout, to);
+	ctx.fillRect(xpos, Math.min(y0, y1), width, Math.abs(y1 - y0));
+}
+
+// Name, center line and scale of the rpc lane, drawn on top of the frames.
+NetDbg.prototype.drawRpcLabels = function(ctx, layout, width) {
+	if (layout.rpcHeight == 0)
+		return;
+	var center = layout.rpcTop + layout.rpcHeight / 2;
+	ctx.fillStyle = "gray";
+	ctx.fillRect(0, center, width, 1);
+	ctx.fillRect(0, layout.rpcTop + layout.rpcHeight - 1, width, 1);
+	ctx.font = '10px serif';
+	ctx.fillStyle = "white";
+	ctx.fillText("RPCs sent (bytes)", 5, layout.rpcTop + 14);
+	ctx.fillText("RPCs received (bytes)", 5, layout.rpcTop + layout.rpcHeight - 6);
+	ctx.textAlign = "right";
+	ctx.fillText(this.formatValue(layout.rpcScale), width - 5, layout.rpcTop + 12);
+	ctx.fillText("0", width - 5, center - 2);
+	ctx.fillText(this.formatValue(layout.rpcScale), width - 5, layout.rpcTop + layout.rpcHeight - 4);
+	ctx.textAlign = "left";
+}
+
+NetDbg.prototype.TickLaneHeight = 100;
+NetDbg.prototype.SnapshotTickColor = "#4f8fff";
+NetDbg.prototype.CommandTickColor = "#3cb44b";
+NetDbg.prototype.LateCommandColor = "red";
+
+// Vertical position of a tick offset in the tick lane, ticks ahead of the server tick are above
+// the center line and older ticks below it.
+NetDbg.prototype.tickY = function(layout, offset) {
+	var center = layout.tickTop + layout.tickHeight / 2;
+	return center - Math.max(Math.min(offset / layout.tickScale, 1), -1) * (layout.tickHeight / 2 - 3);
+}
+
+// Each tick is a stem from the server tick to its offset ending in a dot, snapshots in the left
+// half of the column and commands in the right half. Commands which were already sent in an earlier
+// frame are drawn hollow, so the redundant copies stand out from the new inputs.
+NetDbg.prototype.drawTickStem = function(ctx, layout, xpos, offset, color, hollow) {
+	var center = this.tickY(layout, 0);
+	var y = this.tickY(layout, offset);
+	ctx.fillStyle = color;
+	ctx.fillRect(Math.floor(xpos), Math.min(center, y), 1, Math.max(Math.abs(y - center), 1));
+	if (hollow) {
+		ctx.strokeStyle = color;
+		ctx.strokeRect(Math.floor(xpos) - 1.5, y - 1.5, 3, 3);
+	} else
+		ctx.fillRect(Math.floor(xpos) - 1, y - 1, 3, 3);
+}
+
+NetDbg.prototype.drawFrameTicks = function(content, ctx, layout, first, end, offset) {
+	if (layout.tickHeight == 0)
+		return;
+	var width = Math.max(this.frameWidth - this.frameMargin(), 1);
+	for (var i = first; i < end; ++i) {
+		var frame = content.frames[i - content.frameBase];
+		var xpos = i*this.frameWidth - offset;
+		for (var t = 0; t < frame.snapshotTicks.length; ++t)
+			this.drawTickStem(ctx, layout, xpos + width / 4, frame.snapshotTicks[t] - frame.serverTick, this.SnapshotTickColor, false);
+		for (var t = 0; t < frame.commandTicks.length; ++t) {
+			var late = frame.commandTicks[t] < frame.serverTick;
+			this.drawTickStem(ctx, layout, xpos + width * 3 / 4, frame.commandTicks[t] - frame.serverTick,
+				late ? this.LateCommandColor : this.CommandTickColor, frame.repeatedCommands != undefined && frame.repeatedCommands[t]);
 		}
+	}
+}
 
-		if (showTimeScale && content.hasTimeData) {
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				for (var frac = 0; frac < content.frames[i].time.length; ++frac) {
-					var frameOffset = i + content.frames[i].time[frac].fraction;
-					var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-					content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight/2 - (content.frames[i].time[frac].scale-1)*10 * dtHeight/2);
-				}
-			}
-			content.ctx.strokeStyle = this.Colors[1];
-			content.ctx.stroke();
+// When zoomed out each bucket shows the range of the tick offsets with a mark at the average.
+// Buckets with late commands get a red mark below the lane.
+NetDbg.prototype.drawBucketTicks = function(content, ctx, layout, buckets, bucketSize, offset) {
+	if (layout.tickHeight == 0)
+		return;
+	var width = Math.max(bucketSize * this.frameWidth, 1);
+	var half = Math.max(Math.floor(width / 2), 1);
+	for (var b = 0; b < buckets.length; ++b) {
+		var bucket = buckets[b];
+		var xpos = bucket.first*this.frameWidth - offset;
+		var ranges = [[bucket.snapshotOffset, this.SnapshotTickColor, xpos], [bucket.commandOffset, this.CommandTickColor, xpos + width - half]];
+		for (var r = 0; r < ranges.length; ++r) {
+			var stat = ranges[r][0];
+			if (stat.count == 0)
+				continue;
+			var minY = this.tickY(layout, stat.min);
+			var maxY = this.tickY(layout, stat.max);
+			ctx.fillStyle = ranges[r][1];
+			ctx.globalAlpha = 0.4;
+			ctx.fillRect(ranges[r][2], Math.min(minY, maxY), half, Math.max(Math.abs(maxY - minY), 1));
+			ctx.globalAlpha = 1;
+			ctx.fillRect(ranges[r][2], Math.round(this.tickY(layout, stat.sum / stat.count)), half, 1);
+		}
+		if (bucket.lateCommands > 0) {
+			ctx.fillStyle = this.LateCommandColor;
+			ctx.fillRect(xpos, layout.tickTop + layout.tickHeight - 3, width, 2);
 		}
+	}
+}
 
-		if (showInterpolationTimeScale && content.hasTimeData) {
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				for (var frac = 0; frac < content.frames[i].time.length; ++frac) {
-					var frameOffset = i + content.frames[i].time[frac].fraction;
-					var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-					content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight/2 - (content.frames[i].time[frac].interpolationScale-1)*10 * dtHeight/2);
+// Name, center line and scale of the tick lane, drawn on top of the frames.
+NetDbg.prototype.drawTickLabels = function(ctx, layout, width) {
+	if (layout.tickHeight == 0)
+		return;
+	var center = this.tickY(layout, 0);
+	ctx.fillStyle = "gray";
+	ctx.fillRect(0, center, width, 1);
+	ctx.fillRect(0, layout.tickTop + layout.tickHeight - 1, width, 1);
+	ctx.font = '10px serif';
+	ctx.fillStyle = this.SnapshotTickColor;
+	ctx.fillText("Snapshot ticks", 5, layout.tickTop + 12);
+	ctx.fillStyle = this.CommandTickColor;
+	ctx.fillText("Command ticks", 75, layout.tickTop + 12);
+	ctx.fillStyle = this.LateCommandColor;
+	ctx.fillText("late", 150, layout.tickTop + 12);
+	ctx.fillStyle = "white";
+	ctx.fillText("(offset to the server tick, hollow: repeated command)", 175, layout.tickTop + 12);
+	ctx.textAlign = "right";
+	ctx.fillText("+" + layout.tickScale, width - 5, layout.tickTop + 12);
+	ctx.fillText("0", width - 5, center - 2);
+	ctx.fillText("-" + layout.tickScale, width - 5, layout.tickTop + layout.tickHeight - 4);
+	ctx.textAlign = "left";
+}
+
+NetDbg.prototype.CompressionLaneHeight = 80;
+
+// Vertical position in a compression lane, lane 0 is the uncompressed part and lane 1 the bits per
+// instance, the value is a fraction of the lane scale.
+NetDbg.prototype.compressionY = function(layout, lane, fraction) {
+	var bottom = layout.compressionTop + (lane + 1) * layout.compressionHeight - 2;
+	return bottom - Math.min(Math.max(fraction, 0), 1) * (layout.compressionHeight - 4);
+}
+
+// Draws one line per visible ghost type and compression lane, points are given by a callback which
+// returns undefined for the columns where the type had no instances. The lines are interrupted there.
+NetDbg.prototype.drawCompressionLines = function(content, ctx, layout, count, point) {
+	for (var t = 0; t < content.names.length; ++t) {
+		if (content.hiddenGhosts[t] || content.compressionTotal[t] == undefined)
+			continue;
+		ctx.strokeStyle = this.Colors[t%this.Colors.length];
+		for (var lane = 0; lane < 2; ++lane) {
+			ctx.beginPath();
+			var connected = false;
+			for (var i = 0; i < count; ++i) {
+				var p = point(i, t);
+				if (p == undefined) {
+					connected = false;
+					continue;
 				}
+				var y = this.compressionY(layout, lane, lane == 0 ? p.ratio : p.bits / layout.bitsPerInstanceScale);
+				if (connected)
+					ctx.lineTo(p.x, y);
+				else
+					ctx.moveTo(p.x, y);
+				connected = true;
 			}
-			content.ctx.strokeStyle = this.Colors[6];
-			content.ctx.stroke();
+			ctx.stroke();
 		}
+	}
+}
 
-		if (showRTT && content.hasTimeData) {
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				for (var frac = 0; frac < content.frames[i].time.length; ++frac) {
-					var frameOffset = i + content.frames[i].time[frac].fraction;
-					var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-					content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight - content.frames[i].time[frac].rtt * dtHeight / 500);
-				}
-			}
-			content.ctx.strokeStyle = this.Colors[2];
-			content.ctx.stroke();
+NetDbg.prototype.drawFrameCompression = function(content, ctx, layout, first, end, offset) {
+	if (layout.compressionHeight == 0)
+		return;
+	var frameWidth = this.frameWidth;
+	this.drawCompressionLines(content, ctx, layout, end - first, function(i, t) {
+		var type = content.frames[first + i - content.frameBase].snapshot[t];
+		if (type == undefined || type.count == 0)
+			return undefined;
+		return {x: (first + i + 0.5) * frameWidth - offset, ratio: type.uncompressed / type.count, bits: type.size / type.count};
+	});
+}
+
+// Zoomed out the lines connect the averages of each bucket.
+NetDbg.prototype.drawBucketCompression = function(content, ctx, layout, buckets, bucketSize, offset) {
+	if (layout.compressionHeight == 0)
+		return;
+	var frameWidth = this.frameWidth;
+	this.drawCompressionLines(content, ctx, layout, buckets.length, function(i, t) {
+		var bucket = buckets[i];
+		if (!(bucket.countSum[t] > 0))
+			return undefined;
+		return {x: (bucket.first + bucketSize/2) * frameWidth - offset, ratio: bucket.uncompressedSum[t] / bucket.countSum[t], bits: bucket.ghostSum[t] / bucket.countSum[t]};
+	});
+}
+
+// Names and scales of the compression lanes, drawn on top of the frames.
+NetDbg.prototype.drawCompressionLabels = function(ctx, layout, width) {
+	if (layout.compressionHeight == 0)
+		return;
+	var names = ["Uncompressed instances (%)", "Bits per instance"];
+	var scales = ["100", this.formatValue(layout.bitsPerInstanceScale)];
+	ctx.font = '10px serif';
+	for (var lane = 0; lane < 2; ++lane) {
+		var top = layout.compressionTop + lane * layout.compressionHeight;
+		ctx.fillStyle = "gray";
+		ctx.fillRect(0, top + layout.compressionHeight - 1, width, 1);
+		ctx.fillStyle = "white";
+		ctx.fillText(names[lane], 5, top + 12);
+		ctx.textAlign = "right";
+		ctx.fillText(scales[lane], width - 5, top + 12);
+		ctx.fillText("0", width - 5, top + layout.compressionHeight - 4);
+		ctx.textAlign = "left";
+	}
+}
+
+// Vertical position of a prediction error in its lane, errors above the lane scale are clamped.
+NetDbg.prototype.predictionErrorY = function(layout, row, value) {
+	var height = layout.predictionErrorHeight - 4;
+	var size = Math.min(value / layout.predictionErrorScale[row], 1) * height;
+	return layout.snapshotContentHeight + (row + 1) * layout.predictionErrorHeight - 2 - size;
+}
+
+NetDbg.prototype.drawFramePredictionErrors = function(content, ctx, layout, first, end, offset) {
+	ctx.strokeStyle = "#4f8fff";
+	for (var e = 0; e < layout.predictionErrors.length; ++e) {
+		var err = layout.predictionErrors[e];
+		ctx.beginPath();
+		for (var i = first; i < end; ++i) {
+			var frame = content.frames[i - content.frameBase];
+			if (frame.predictionError.length <= err)
+				continue;
+			ctx.lineTo((i + 0.5)*this.frameWidth - offset, this.predictionErrorY(layout, e, frame.predictionError[err]));
 		}
+		ctx.stroke();
+	}
+}
+
+// Vertical position of a value in a time sample lane, values outside of a fixed scale are clamped to the lane.
+NetDbg.prototype.laneY = function(lane, value) {
+	var t = (value - lane.min) / (lane.max - lane.min);
+	t = Math.min(Math.max(t, 0), 1);
+	return lane.top + lane.height - 2 - t * (lane.height - 4);
+}
 
-		if (showJitter && content.hasTimeData) {
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				for (var frac = 0; frac < content.frames[i].time.length; ++frac) {
-					var frameOffset = i + content.frames[i].time[frac].fraction;
-					var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-					content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight - content.frames[i].time[frac].jitter * dtHeight / 50);
+NetDbg.prototype.drawFrameTimeLines = function(content, ctx, layout, first, end, offset) {
+	for (var l = 0; l < layout.timeLanes.length; ++l) {
+		var lane = layout.timeLanes[l];
+		for (var f = 0; f < lane.lane.fields.length; ++f) {
+			var field = lane.lane.fields[f];
+			ctx.beginPath();
+			for (var i = first; i < end; ++i) {
+				var time = content.frames[i - content.frameBase].time;
+				for (var frac = 0; frac < time.length; ++frac) {
+					var frameOffset = i + time[frac].fraction;
+					var xpos = frameOffset*this.frameWidth-this.frameMargin()/2 - offset;
+					ctx.lineTo(xpos, this.laneY(lane, time[frac][field]));
 				}
 			}
-			content.ctx.strokeStyle = this.Colors[3];
-			content.ctx.stroke();
+			ctx.strokeStyle = this.Colors[lane.lane.color];
+			ctx.stroke();
 		}
+	}
+}
 
-		if (showCommandAge && content.hasTimeData) {
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				for (var frac = 0; frac < content.frames[i].time.length; ++frac) {
-					var frameOffset = i + content.frames[i].time[frac].fraction;
-					var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-					content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight/2 - content.frames[i].time[frac].commandAge*10);
-				}
-			}
-			content.ctx.strokeStyle = this.Colors[4];
-			content.ctx.stroke();
-		}
-		if (showSnapshotAge && content.hasTimeData) {
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				for (var frac = 0; frac < content.frames[i].time.length; ++frac) {
-					var frameOffset = i + content.frames[i].time[frac].fraction;
-					var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-					content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight - content.frames[i].time[frac].snapshotAgeMin*2);
-				}
-			}
-			content.ctx.strokeStyle = this.Colors[5];
-			content.ctx.stroke();
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				for (var frac = 0; frac < content.frames[i].time.length; ++frac) {
-					var frameOffset = i + content.frames[i].time[frac].fraction;
-					var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-					content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight - content.frames[i].time[frac].snapshotAgeMax*2);
-				}
-			}
-			content.ctx.strokeStyle = this.Colors[5];
-			content.ctx.stroke();
-		}
-		/*if (showSnapshotAge && content.hasTimeData) {
-			content.ctx.beginPath();
-			for (var i = 0; i < content.frames.length; ++i) {
-				var frameOffset = i + 1;
-				var xpos = frameOffset*this.SnapshotWidth-this.SnapshotMargin/2 - currentOffset;
-				content.ctx.lineTo(xpos, snapshotHeight + commandHeight + dtHeight - content.frames[i].snapshotAge*2);
+// Draws aggregated columns when zoomed out. The stacked bars show the average size of each ghost type
+// in the bucket, with a lighter bar on top reaching up to the largest frame so spikes stay visible.
+NetDbg.prototype.drawBucketColumns = function(content, ctx, layout, buckets, bucketSize, offset) {
+	var snapshotHeight = layout.snapshotHeight;
+	var commandHeight = layout.commandHeight;
+	var byteScale = layout.byteScale;
+	var width = Math.max(bucketSize * this.frameWidth, 1);
+	var markerInterval = this.tickMarkerInterval();
+	for (var b = 0; b < buckets.length; ++b) {
+		var bucket = buckets[b];
+		if (bucket.count == 0)
+			continue;
+		var xpos = bucket.first*this.frameWidth - offset;
+		if (this.bucketExceedsBudget(content, bucket)) {
+			ctx.fillStyle = this.BudgetViolationColor;
+			ctx.fillRect(xpos, 0, width, snapshotHeight);
+		}
+		// The height of the band is the part of the ticks in the bucket which were not received.
+		if (bucket.missingSum > 0) {
+			ctx.fillStyle = this.MissingTickColor;
+			ctx.fillRect(xpos, 0, width, snapshotHeight * bucket.missingSum / bucket.count);
+		}
+		var total = 0;
+		var totalCount = 0;
+		var totalUncompressed = 0;
+		for (var t = 0; t < bucket.ghostSum.length; ++t) {
+			if (content.hiddenGhosts[t])
+				continue;
+			var size = bucket.ghostSum[t] / bucket.count;
+			ctx.fillStyle = this.Colors[t%this.Colors.length];
+			ctx.fillRect(xpos, snapshotHeight - byteScale * (total + size), width, byteScale * size);
+			total += size;
+			totalCount += bucket.countSum[t];
+			totalUncompressed += bucket.uncompressedSum[t];
+		}
+		var totalMax = this.visibleBucketMax(content, bucket);
+		if (totalMax > total) {
+			ctx.fillStyle = "rgba(255,255,255,0.5)";
+			ctx.fillRect(xpos, snapshotHeight - byteScale * totalMax, width, byteScale * (totalMax - total));
+		}
+		if (totalCount > 0 && totalUncompressed / totalCount > 0.1) {
+			ctx.fillStyle = "rgba(255,0,0," + (totalUncompressed / totalCount * 0.5 + 0.5) + ")";
+			ctx.fillRect(xpos, snapshotHeight - byteScale * totalMax - 2, width, 2);
+		}
+		if (bucket.totalMax > layout.packetBits) {
+			ctx.fillStyle = this.FragmentColor;
+			ctx.fillRect(xpos, snapshotHeight - byteScale * totalMax - 6, width, 3);
+		}
+		if (bucket.commandMax > 0) {
+			var avgCommand = bucket.commandSum / bucket.count;
+			ctx.fillStyle = this.Colors[0];
+			ctx.fillRect(xpos, snapshotHeight+commandHeight - byteScale * avgCommand*8, width, byteScale * avgCommand*8);
+			ctx.fillStyle = "rgba(255,255,255,0.5)";
+			ctx.fillRect(xpos, snapshotHeight+commandHeight - byteScale * bucket.commandMax*8, width, byteScale * (bucket.commandMax - avgCommand)*8);
+		}
+		var rpcSent = 0;
+		var rpcReceived = 0;
+		for (var r = 0; r < bucket.rpcSentBytes.length; ++r) {
+			var sent = bucket.rpcSentBytes[r] / bucket.count;
+			var received = bucket.rpcReceivedBytes[r] / bucket.count;
+			ctx.fillStyle = this.Colors[r%this.Colors.length];
+			this.drawRpcBar(ctx, layout, xpos, width, rpcSent, rpcSent + sent);
+			this.drawRpcBar(ctx, layout, xpos, width, -rpcReceived, -rpcReceived - received);
+			rpcSent += sent;
+			rpcReceived += received;
+		}
+		if (bucket.rpcSentMax > rpcSent || bucket.rpcReceivedMax > rpcReceived) {
+			ctx.fillStyle = "rgba(255,255,255,0.5)";
+			this.drawRpcBar(ctx, layout, xpos, width, rpcSent, bucket.rpcSentMax);
+			this.drawRpcBar(ctx, layout, xpos, width, -rpcReceived, -bucket.rpcReceivedMax);
+		}
+		if (bucket.discardedMax > 0) {
+			ctx.fillStyle = "red";
+			ctx.fillRect(xpos, 0, width, bucket.discardedMax * 10);
+		}
+
+		var markerTick = Math.ceil(bucket.serverTick / markerInterval) * markerInterval;
+		if (markerTick < bucket.serverTick + bucket.count)
+			this.drawTickMarker(ctx, layout, xpos + (markerTick - bucket.serverTick) * this.frameWidth, markerTick, markerInterval);
+	}
+}
+
+// When zoomed out the lanes show the largest error of each bucket.
+NetDbg.prototype.drawBucketPredictionErrors = function(content, ctx, layout, buckets, bucketSize, offset) {
+	ctx.strokeStyle = "#4f8fff";
+	for (var e = 0; e < layout.predictionErrors.length; ++e) {
+		var err = layout.predictionErrors[e];
+		ctx.beginPath();
+		for (var b = 0; b < buckets.length; ++b) {
+			var value = buckets[b].predictionErrorMax[err];
+			if (buckets[b].count == 0 || value == undefined)
+				continue;
+			ctx.lineTo((buckets[b].first + bucketSize/2)*this.frameWidth - offset, this.predictionErrorY(layout, e, value));
+		}
+		ctx.stroke();
+	}
+}
+
+// Draws the min/max range of each time sample line as a band with the average as a line on top.
+NetDbg.prototype.drawBucketTimeLines = function(content, ctx, layout, buckets, bucketSize, offset) {
+	var width = Math.max(bucketSize * this.frameWidth, 1);
+	for (var l = 0; l < layout.timeLanes.length; ++l) {
+		var lane = layout.timeLanes[l];
+		for (var f = 0; f < lane.lane.fields.length; ++f) {
+			var field = lane.lane.fields[f];
+			ctx.fillStyle = this.Colors[lane.lane.color];
+			ctx.globalAlpha = 0.4;
+			for (var b = 0; b < buckets.length; ++b) {
+				var stat = buckets[b].time[field];
+				if (stat.count == 0)
+					continue;
+				var minY = this.laneY(lane, stat.min);
+				var maxY = this.laneY(lane, stat.max);
+				ctx.fillRect(buckets[b].first*this.frameWidth - offset, Math.min(minY, maxY), width, Math.max(Math.abs(maxY - minY), 1));
 			}
-			content.ctx.strokeStyle = this.Colors[5];
-			content.ctx.stroke();
-		}*/
-		content.ctx.fillStyle = "white";
-		content.ctx.fillRect(0,snapshotHeight,content.canvas.width, 2);
-		content.ctx.fillRect(0,snapshotHeight+commandHeight,content.canvas.width, 2);
-
-		if (showPredictionErrors) {
-			predictionContentHeight = 0;
-			content.ctx.font = '10px serif';
-			for (var i = 0; i < content.errors.length; ++i) {
-				if (content.enabledErrors[i]) {
-					content.ctx.fillText(content.errors[i], 5, snapshotContentHeight+predictionContentHeight + 15);
-					predictionContentHeight += predictionErrorHeight;
-					content.ctx.fillRect(0,snapshotContentHeight+predictionContentHeight,content.canvas.width, 2);
-				}
+			ctx.globalAlpha = 1;
+			ctx.beginPath();
+			for (var b = 0; b < buckets.length; ++b) {
+				var stat = buckets[b].time[field];
+				if (stat.count == 0)
+					continue;
+				ctx.lineTo((buckets[b].first + bucketSize/2)*this.frameWidth - offset, this.laneY(lane, stat.sum / stat.count));
 			}
+			ctx.strokeStyle = this.Colors[lane.lane.color];
+			ctx.stroke();
 		}
 	}
 }
+
+// Horizontal grid lines of the time sample lanes, drawn below the frames.
+NetDbg.prototype.drawLaneGrid = function(ctx, layout, width) {
+	for (var l = 0; l < layout.timeLanes.length; ++l) {
+		var lane = layout.timeLanes[l];
+		ctx.fillStyle = "#333";
+		var values = this.laneGridValues(lane);
+		for (var i = 0; i < values.length; ++i)
+			ctx.fillRect(0, Math.round(this.laneY(lane, values[i])), width, 1);
+		ctx.fillStyle = "gray";
+		ctx.fillRect(0, lane.top + lane.height - 1, width, 1);
+	}
+}
+
+// Names, units and grid line values of the time sample lanes, drawn on top of the frames.
+NetDbg.prototype.drawLaneLabels = function(ctx, layout, width) {
+	ctx.font = '10px serif';
+	for (var l = 0; l < layout.timeLanes.length; ++l) {
+		var lane = layout.timeLanes[l];
+		ctx.fillStyle = this.Colors[lane.lane.color];
+		ctx.fillText(lane.lane.name + " (" + lane.lane.unit + ")", 5, lane.top + 12);
+		ctx.fillStyle = "white";
+		ctx.textAlign = "right";
+		var values = this.laneGridValues(lane);
+		for (var i = 0; i < values.length; ++i)
+			ctx.fillText(this.formatValue(parseFloat(values[i].toPrecision(12))), width - 5, Math.min(Math.max(this.laneY(lane, values[i]) + 3, lane.top + 10), lane.top + lane.height - 2));
+		ctx.textAlign = "left";
+	}
+}